@@ -20,8 +20,15 @@
  *   0x21 - Service Data (128-bit UUID)
  *   0xFF - Manufacturer Specific Data
  *
+ * Beacon formats found in these structures are decoded as well:
+ *   iBeacon    – manufacturer data, company 0x004C, type 0x02, length 0x15:
+ *                UUID (16) + major (uint16 BE) + minor (uint16 BE) + measured power (int8)
+ *   Eddystone  – service data 0xFEAA, first byte = frame type:
+ *                0x00 UID, 0x10 URL, 0x20 TLM, 0x30 EID
+ *
  * @see Bluetooth Core Spec Vol 3, Part C, Section 11
  * @see https://www.bluetooth.com/specifications/assigned-numbers/generic-access-profile/
+ * @see https://github.com/google/eddystone/blob/master/protocol-specification.md
  */
 
 /** AD Type constants */
@@ -42,6 +49,29 @@ const AD_TYPE = {
     MANUFACTURER_DATA:  0xFF,
 };
 
+/** Apple company ID (iBeacon) */
+const APPLE_COMPANY_ID = 0x004C;
+
+/** Eddystone service UUID */
+const EDDYSTONE_SERVICE_UUID = 'feaa';
+
+/** Eddystone frame types */
+const EDDYSTONE_FRAME = {
+    UID: 0x00,
+    URL: 0x10,
+    TLM: 0x20,
+    EID: 0x30,
+};
+
+/** Eddystone-URL scheme prefixes */
+const URL_SCHEMES = ['http://www.', 'https://www.', 'http://', 'https://'];
+
+/** Eddystone-URL expansion codes 0x00–0x0D */
+const URL_EXPANSIONS = [
+    '.com/', '.org/', '.edu/', '.net/', '.info/', '.biz/', '.gov/',
+    '.com', '.org', '.edu', '.net', '.info', '.biz', '.gov',
+];
+
 /**
  * Parse raw BLE advertisement bytes into structured data.
  *
@@ -53,6 +83,7 @@ const AD_TYPE = {
  *   serviceUuids: string[],
  *   serviceData: Array<{uuid: string, data: Buffer}>,
  *   manufacturerData: {companyId: number, data: Buffer}|null,
+ *   beacon: object|null,
  *   raw: Buffer
  * }}
  */
@@ -64,6 +95,7 @@ function parseAdvertisement(raw) {
         serviceUuids: [],
         serviceData: [],
         manufacturerData: null,
+        beacon: null,
         raw,
     };
 
@@ -168,10 +200,166 @@ function parseAdvertisement(raw) {
         offset += length;
     }
 
+    result.beacon = parseBeacon({
+        serviceData: result.serviceData,
+        manufacturerData: result.manufacturerData
+            ? Buffer.concat([Buffer.from([result.manufacturerData.companyId & 0xFF, result.manufacturerData.companyId >> 8]), result.manufacturerData.data])
+            : null,
+    });
+
     return result;
 }
 
+/**
+ * Format 16 bytes as a UUID string (upper-case, with dashes).
+ *
+ * @param {Buffer} buf
+ * @returns {string}
+ */
+function formatUuid(buf) {
+    const hex = buf.toString('hex').toUpperCase();
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Parse an iBeacon from manufacturer data.
+ *
+ * @param {Buffer} manufacturerData – company ID (uint16 LE) + payload
+ * @returns {{type: 'ibeacon', uuid: string, major: number, minor: number, measuredPower: number, id: string}|null}
+ */
+function parseIBeacon(manufacturerData) {
+    if (!Buffer.isBuffer(manufacturerData) || manufacturerData.length < 25) return null;
+    if (manufacturerData.readUInt16LE(0) !== APPLE_COMPANY_ID) return null;
+    if (manufacturerData.readUInt8(2) !== 0x02 || manufacturerData.readUInt8(3) !== 0x15) return null;
+
+    const uuid = formatUuid(manufacturerData.subarray(4, 20));
+    const major = manufacturerData.readUInt16BE(20);
+    const minor = manufacturerData.readUInt16BE(22);
+    return {
+        type: 'ibeacon',
+        uuid,
+        major,
+        minor,
+        measuredPower: manufacturerData.readInt8(24),
+        id: `ibeacon:${uuid}:${major}:${minor}`,
+    };
+}
+
+/**
+ * Decode an Eddystone-URL (scheme byte + encoded URL).
+ *
+ * @param {Buffer} buf
+ * @returns {string|null}
+ */
+function decodeEddystoneUrl(buf) {
+    if (buf.length < 1 || buf[0] >= URL_SCHEMES.length) return null;
+
+    let url = URL_SCHEMES[buf[0]];
+    for (const byte of buf.subarray(1)) {
+        url += byte < URL_EXPANSIONS.length ? URL_EXPANSIONS[byte] : String.fromCharCode(byte);
+    }
+    return url;
+}
+
+/**
+ * Parse an Eddystone frame from service data 0xFEAA.
+ *
+ * TLM values that the beacon marks as unsupported (voltage 0, temperature
+ * 0x8000) are null. Encrypted TLM (version 1) is reported without values.
+ *
+ * @param {Buffer} data – service data
+ * @returns {{type: 'eddystone', frame: 'uid'|'url'|'tlm'|'eid', id?: string, txPower?: number,
+ *            namespace?: string, instance?: string, url?: string, eid?: string, encrypted?: boolean,
+ *            voltage?: number|null, temperature?: number|null, advCount?: number, uptime?: number}|null}
+ */
+function parseEddystone(data) {
+    if (!Buffer.isBuffer(data) || data.length < 2) return null;
+
+    switch (data[0]) {
+        case EDDYSTONE_FRAME.UID: {
+            if (data.length < 18) return null;
+            const namespace = data.subarray(2, 12).toString('hex');
+            const instance = data.subarray(12, 18).toString('hex');
+            return {
+                type: 'eddystone',
+                frame: 'uid',
+                txPower: data.readInt8(1),
+                namespace,
+                instance,
+                id: `eddystone:${namespace}:${instance}`,
+            };
+        }
+
+        case EDDYSTONE_FRAME.URL: {
+            const url = decodeEddystoneUrl(data.subarray(2));
+            return url === null ? null : { type: 'eddystone', frame: 'url', txPower: data.readInt8(1), url };
+        }
+
+        case EDDYSTONE_FRAME.TLM: {
+            if (data[1] === 0x01) return { type: 'eddystone', frame: 'tlm', encrypted: true };
+            if (data[1] !== 0x00 || data.length < 14) return null;
+            const voltage = data.readUInt16BE(2);
+            const temperature = data.readInt16BE(4);
+            return {
+                type: 'eddystone',
+                frame: 'tlm',
+                encrypted: false,
+                voltage: voltage === 0 ? null : voltage / 1000,
+                // Signed 8.8 fixed point
+                temperature: temperature === -0x8000 ? null : Number((temperature / 256).toFixed(2)),
+                advCount: data.readUInt32BE(6),
+                uptime: Math.floor(data.readUInt32BE(10) / 10),
+            };
+        }
+
+        case EDDYSTONE_FRAME.EID:
+            if (data.length < 10) return null;
+            return {
+                type: 'eddystone',
+                frame: 'eid',
+                txPower: data.readInt8(1),
+                eid: data.subarray(2, 10).toString('hex'),
+            };
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Find a beacon in service / manufacturer data.
+ *
+ * @param {{serviceData?: Array<{uuid: string, data: Buffer}>|null, manufacturerData?: Buffer|null}} adv
+ * @returns {object|null} – result of parseIBeacon() or parseEddystone()
+ */
+function parseBeacon(adv) {
+    const ibeacon = parseIBeacon(adv.manufacturerData);
+    if (ibeacon) return ibeacon;
+
+    const entry = (adv.serviceData || []).find(sd => sd.uuid && sd.uuid.toLowerCase() === EDDYSTONE_SERVICE_UUID);
+    return entry ? parseEddystone(entry.data) : null;
+}
+
+/**
+ * Stable identity of a beacon, independent of its (possibly rotating) MAC:
+ * `ibeacon:<uuid>:<major>:<minor>` or `eddystone:<namespace>:<instance>`.
+ * Only frames that carry the identity (iBeacon, Eddystone-UID) have one.
+ *
+ * @param {{serviceData?: Array<{uuid: string, data: Buffer}>|null, manufacturerData?: Buffer|null}} adv
+ * @returns {string|null}
+ */
+function beaconIdentity(adv) {
+    const beacon = parseBeacon(adv);
+    return beacon && beacon.id ? beacon.id : null;
+}
+
 module.exports = {
     parseAdvertisement,
+    parseIBeacon,
+    parseEddystone,
+    parseBeacon,
+    beaconIdentity,
     AD_TYPE,
+    APPLE_COMPANY_ID,
+    EDDYSTONE_SERVICE_UUID,
 };
@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * appleContinuity.js – Apple Continuity messages in manufacturer data (0x004C).
+ *
+ * The payload after the company ID is a list of messages:
+ *   [type (1)] [length (1)] [data…]
+ *
+ * Decoded message types:
+ *   0x07 Proximity pairing (AirPods / Beats), length 0x19:
+ *        Byte 0:   prefix (0x01)
+ *        Byte 1-2: model (uint16 BE)
+ *        Byte 3:   status – bit 1: primary pod in ear, bit 3: other pod in ear,
+ *                           bit 5: primary pod is the left one
+ *        Byte 4:   battery – low nibble: primary pod, high nibble: other pod
+ *                            (0–10 = 0–100 %, 15 = not available)
+ *        Byte 5:   low nibble: case battery,
+ *                  high nibble: charging – bit 0 primary, bit 1 other, bit 2 case
+ *   0x10 Nearby info: low nibble of byte 0 = activity of the device
+ *
+ * Other known types (AirDrop, Handoff, Find My, …) only classify the device.
+ * iBeacon (0x02) is handled by advertisementParser.js.
+ *
+ * @see https://github.com/furiousMAC/continuity
+ * @see https://github.com/adolfintel/OpenPods
+ */
+
+/** Continuity message types → coarse device type */
+const MESSAGE_DEVICE_TYPES = {
+    0x05: 'ios',          // AirDrop
+    0x06: 'homekit',      // HomeKit
+    0x07: 'headphones',   // Proximity pairing
+    0x09: 'airplay',      // AirPlay target
+    0x0B: 'watch',        // Watch connection
+    0x0C: 'ios',          // Handoff
+    0x0D: 'ios',          // Tethering source
+    0x0F: 'ios',          // Nearby action
+    0x10: 'ios',          // Nearby info
+    0x12: 'findmy',       // Find My (offline finding)
+};
+
+/** Display names of the device types */
+const DEVICE_TYPE_NAMES = {
+    headphones: 'Apple headphones',
+    watch: 'Apple Watch',
+    ios: 'iPhone/iPad/Mac',
+    airplay: 'AirPlay receiver',
+    homekit: 'HomeKit accessory',
+    findmy: 'Find My accessory',
+};
+
+/**
+ * Proximity pairing models. `single` = one battery (headphones, neckbands).
+ * @type {Record<number, {name: string, single?: boolean}>}
+ */
+const MODELS = {
+    0x0220: { name: 'AirPods' },
+    0x0F20: { name: 'AirPods (2nd generation)' },
+    0x1320: { name: 'AirPods (3rd generation)' },
+    0x1920: { name: 'AirPods 4' },
+    0x1B20: { name: 'AirPods 4 (ANC)' },
+    0x0E20: { name: 'AirPods Pro' },
+    0x1420: { name: 'AirPods Pro (2nd generation)' },
+    0x2420: { name: 'AirPods Pro (2nd generation, USB-C)' },
+    0x0A20: { name: 'AirPods Max', single: true },
+    0x1F20: { name: 'AirPods Max (USB-C)', single: true },
+    0x0320: { name: 'Powerbeats3', single: true },
+    0x0520: { name: 'BeatsX', single: true },
+    0x0620: { name: 'Beats Solo3', single: true },
+    0x0920: { name: 'Beats Studio3', single: true },
+    0x0B20: { name: 'Powerbeats Pro' },
+    0x0C20: { name: 'Beats Solo Pro', single: true },
+    0x1020: { name: 'Beats Flex', single: true },
+    0x1120: { name: 'Beats Studio Buds' },
+    0x1220: { name: 'Beats Fit Pro' },
+    0x1620: { name: 'Beats Studio Buds+' },
+    0x1720: { name: 'Beats Studio Pro', single: true },
+};
+
+/** Nearby info activity codes */
+const ACTIVITIES = {
+    0x00: 'unknown',
+    0x01: 'disabled',
+    0x03: 'idle',
+    0x05: 'audio_screen_off',
+    0x07: 'screen_on',
+    0x09: 'video',
+    0x0A: 'watch_unlocked',
+    0x0B: 'recent_interaction',
+    0x0D: 'driving',
+    0x0E: 'call',
+};
+
+/**
+ * Split the payload into messages.
+ *
+ * @param {Buffer} data – manufacturer data without company ID
+ * @returns {Array<{type: number, data: Buffer}>}
+ */
+function parseMessages(data) {
+    const messages = [];
+    let offset = 0;
+    while (offset + 2 <= data.length) {
+        const type = data.readUInt8(offset);
+        const length = data.readUInt8(offset + 1);
+        offset += 2;
+        if (offset + length > data.length) break;
+        messages.push({ type, data: data.subarray(offset, offset + length) });
+        offset += length;
+    }
+    return messages;
+}
+
+/**
+ * Battery nibble → percent, null if not available.
+ *
+ * @param {number} nibble
+ * @returns {number|null}
+ */
+function batteryLevel(nibble) {
+    return nibble <= 10 ? nibble * 10 : null;
+}
+
+/**
+ * Decode a proximity pairing message.
+ *
+ * @param {Buffer} msg
+ * @returns {{model: string, single: boolean, left: {battery: number|null, charging: boolean, inEar: boolean},
+ *            right: {battery: number|null, charging: boolean, inEar: boolean}, case: {battery: number|null, charging: boolean}}|null}
+ */
+function parseProximityPairing(msg) {
+    if (msg.length < 6) return null;
+
+    const modelId = msg.readUInt16BE(1);
+    const model = MODELS[modelId] || { name: `Unknown (0x${modelId.toString(16).padStart(4, '0')})` };
+    const status = msg.readUInt8(3);
+    const battery = msg.readUInt8(4);
+    const charge = msg.readUInt8(5);
+
+    const primary = {
+        battery: batteryLevel(battery & 0x0F),
+        charging: !!(charge & 0x10),
+        inEar: !!(status & 0x02),
+    };
+    const other = {
+        battery: batteryLevel(battery >> 4),
+        charging: !!(charge & 0x20),
+        inEar: !!(status & 0x08),
+    };
+    const primaryLeft = !!(status & 0x20);
+
+    return {
+        model: model.name,
+        single: !!model.single,
+        left: primaryLeft ? primary : other,
+        right: primaryLeft ? other : primary,
+        case: { battery: batteryLevel(charge & 0x0F), charging: !!(charge & 0x40) },
+    };
+}
+
+/**
+ * Parse the Continuity messages of an Apple advertisement.
+ *
+ * @param {Buffer} data – manufacturer data without company ID
+ * @returns {{deviceType: string|null, messageTypes: number[], proximity: object|null, activity: string|null}|null}
+ *          null if there is no known Continuity message
+ */
+function parseContinuity(data) {
+    if (!Buffer.isBuffer(data)) return null;
+
+    const messages = parseMessages(data).filter(m => MESSAGE_DEVICE_TYPES[m.type]);
+    if (messages.length === 0) return null;
+
+    const result = {
+        deviceType: null,
+        messageTypes: messages.map(m => m.type),
+        proximity: null,
+        activity: null,
+    };
+
+    for (const msg of messages) {
+        if (msg.type === 0x07) {
+            result.proximity = parseProximityPairing(msg.data);
+        } else if (msg.type === 0x10 && msg.data.length >= 1) {
+            const code = msg.data.readUInt8(0) & 0x0F;
+            result.activity = ACTIVITIES[code] || `unknown_${code}`;
+        }
+    }
+
+    // Most specific message wins
+    const types = messages.map(m => MESSAGE_DEVICE_TYPES[m.type]);
+    result.deviceType = ['headphones', 'findmy', 'watch', 'airplay', 'homekit', 'ios'].find(t => types.includes(t));
+    if (result.deviceType === 'ios' && result.activity === 'watch_unlocked') result.deviceType = 'watch';
+
+    return result;
+}
+
+/**
+ * Short label for an Apple device, e.g. for unnamed devices in the discovery list.
+ *
+ * @param {Buffer} manufacturerData – company ID (uint16 LE) + payload
+ * @returns {string|null}
+ */
+function continuityLabel(manufacturerData) {
+    if (!Buffer.isBuffer(manufacturerData) || manufacturerData.length < 4 || manufacturerData.readUInt16LE(0) !== 0x004C) {
+        return null;
+    }
+    const parsed = parseContinuity(manufacturerData.subarray(2));
+    if (!parsed) return null;
+    if (parsed.proximity) return parsed.proximity.model;
+    return DEVICE_TYPE_NAMES[parsed.deviceType] || 'Apple device';
+}
+
+module.exports = {
+    parseContinuity,
+    continuityLabel,
+    DEVICE_TYPE_NAMES,
+    MODELS,
+};
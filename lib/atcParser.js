@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * atcParser.js – parser for the ATC1441 and pvvx custom firmware formats.
+ *
+ * Xiaomi LYWSD03MMC (and similar) thermometers flashed with the ATC or pvvx
+ * firmware advertise their readings as service data on UUID 0x181A
+ * (Environmental Sensing). Both formats are told apart by their length:
+ *
+ * ATC1441 format (13 bytes, big-endian):
+ *   Byte 0-5:   MAC address
+ *   Byte 6-7:   Temperature (sint16, 0.1 °C)
+ *   Byte 8:     Humidity (uint8, %)
+ *   Byte 9:     Battery (uint8, %)
+ *   Byte 10-11: Battery voltage (uint16, mV)
+ *   Byte 12:    Frame counter
+ *
+ * pvvx custom format (15 bytes, little-endian):
+ *   Byte 0-5:   MAC address (reversed)
+ *   Byte 6-7:   Temperature (sint16, 0.01 °C)
+ *   Byte 8-9:   Humidity (uint16, 0.01 %)
+ *   Byte 10-11: Battery voltage (uint16, mV)
+ *   Byte 12:    Battery (uint8, %)
+ *   Byte 13:    Measurement counter
+ *   Byte 14:    Flags
+ *
+ * The values are returned in the shape of the BTHome parser (same object IDs
+ * and names), so they end up as regular `bthome` states. The frame counter is
+ * reported as packet_id and used for deduplication.
+ *
+ * The encrypted pvvx/ATC formats are not supported – configure the firmware
+ * to send BTHome instead if encryption is needed.
+ *
+ * @see https://github.com/atc1441/ATC_MiThermometer
+ * @see https://github.com/pvvx/ATC_MiThermometer#custom-format-all-data-little-endian
+ */
+
+/** Environmental Sensing service UUID used by the custom firmwares */
+const ATC_SERVICE_UUID = '181a';
+
+const ATC1441_LENGTH = 13;
+const PVVX_LENGTH = 15;
+
+/**
+ * Build a value entry like the BTHome parser does.
+ *
+ * @param {number} objectId – matching BTHome object ID
+ * @param {string} name
+ * @param {number} value
+ * @param {string} unit
+ * @param {string} role
+ * @returns {{objectId: number, name: string, value: number, unit: string, role: string}}
+ */
+function entry(objectId, name, value, unit, role) {
+    return { objectId, name, value, unit, role };
+}
+
+/**
+ * Parse ATC1441 / pvvx service data.
+ *
+ * @param {Buffer} data – raw service data of UUID 0x181A
+ * @returns {{
+ *   version: string,
+ *   encrypted: boolean,
+ *   counter: null,
+ *   error: null,
+ *   values: Array<{objectId: number, name: string, value: number, unit: string, role: string}>
+ * }|null} – null if the payload is not one of the known formats
+ */
+function parseAtc(data) {
+    if (!Buffer.isBuffer(data)) return null;
+
+    if (data.length === ATC1441_LENGTH) {
+        return {
+            version: 'atc1441',
+            encrypted: false,
+            counter: null,
+            error: null,
+            values: [
+                entry(0x00, 'packet_id', data.readUInt8(12), '', 'value'),
+                entry(0x45, 'temperature', Number((data.readInt16BE(6) * 0.1).toFixed(1)), '°C', 'value.temperature'),
+                entry(0x2E, 'humidity', data.readUInt8(8), '%', 'value.humidity'),
+                entry(0x01, 'battery', data.readUInt8(9), '%', 'value.battery'),
+                entry(0x0C, 'voltage', Number((data.readUInt16BE(10) * 0.001).toFixed(3)), 'V', 'value.voltage'),
+            ],
+        };
+    }
+
+    if (data.length === PVVX_LENGTH) {
+        return {
+            version: 'pvvx',
+            encrypted: false,
+            counter: null,
+            error: null,
+            values: [
+                entry(0x00, 'packet_id', data.readUInt8(13), '', 'value'),
+                entry(0x02, 'temperature', Number((data.readInt16LE(6) * 0.01).toFixed(2)), '°C', 'value.temperature'),
+                entry(0x03, 'humidity', Number((data.readUInt16LE(8) * 0.01).toFixed(2)), '%', 'value.humidity'),
+                entry(0x01, 'battery', data.readUInt8(12), '%', 'value.battery'),
+                entry(0x0C, 'voltage', Number((data.readUInt16LE(10) * 0.001).toFixed(3)), 'V', 'value.voltage'),
+            ],
+        };
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseAtc,
+    ATC_SERVICE_UUID,
+};
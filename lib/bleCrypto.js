@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * bleCrypto.js – AES helpers for encrypted BLE advertisements.
+ *
+ * Several advertisement formats (BTHome, Xiaomi MiBeacon, …) encrypt their
+ * payload with AES-128-CCM and a 16-byte per-device "bind key"; Victron uses
+ * AES-128-CTR without authentication. This module wraps Node's crypto API so
+ * the individual parsers only have to build the nonce and split the frame.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Parse a user-supplied 128-bit key (32 hex chars, separators allowed).
+ *
+ * @param {string|Buffer|null|undefined} key
+ * @returns {Buffer|null} – 16-byte key or null if missing/invalid
+ */
+function parseKey(key) {
+    if (Buffer.isBuffer(key)) return key.length === 16 ? key : null;
+    if (typeof key !== 'string') return null;
+
+    const hex = key.replace(/[\s:-]/g, '');
+    if (!/^[0-9a-fA-F]{32}$/.test(hex)) return null;
+    return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Convert a MAC address (any separator) into its 6 raw bytes, in the order
+ * it is written (most significant byte first).
+ *
+ * @param {string} mac – e.g. "AA:BB:CC:DD:EE:FF" or "AA-BB-CC-DD-EE-FF"
+ * @returns {Buffer|null}
+ */
+function macToBytes(mac) {
+    const hex = String(mac || '').replace(/[:-]/g, '');
+    if (!/^[0-9a-fA-F]{12}$/.test(hex)) return null;
+    return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Decrypt and authenticate an AES-128-CCM payload.
+ *
+ * @param {object} opts
+ * @param {Buffer} opts.key        – 16-byte key
+ * @param {Buffer} opts.nonce      – 7..13 byte nonce
+ * @param {Buffer} opts.ciphertext – encrypted payload (without MIC)
+ * @param {Buffer} opts.tag        – message integrity check (4..16 bytes)
+ * @param {Buffer} [opts.aad]      – additional authenticated data
+ * @returns {Buffer|null} – plaintext, or null if authentication failed
+ */
+function decryptAesCcm({ key, nonce, ciphertext, tag, aad }) {
+    try {
+        const decipher = crypto.createDecipheriv('aes-128-ccm', key, nonce, { authTagLength: tag.length });
+        decipher.setAuthTag(tag);
+        if (aad) {
+            decipher.setAAD(aad, { plaintextLength: ciphertext.length });
+        }
+        const plain = decipher.update(ciphertext);
+        decipher.final();
+        return plain;
+    } catch (_) {
+        // Wrong key or corrupted frame – CCM authentication failed
+        return null;
+    }
+}
+
+/**
+ * Decrypt an AES-128-CTR payload whose counter block is a 128-bit
+ * little-endian integer (Node's CTR mode increments big-endian, so the
+ * keystream is built block by block).
+ *
+ * @param {Buffer} key        – 16-byte key
+ * @param {number} counter    – initial counter value (e.g. the 16-bit nonce of the frame)
+ * @param {Buffer} ciphertext
+ * @returns {Buffer}
+ */
+function decryptAesCtrLE(key, counter, ciphertext) {
+    const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+    cipher.setAutoPadding(false);
+
+    const plain = Buffer.alloc(ciphertext.length);
+    for (let block = 0; block * 16 < ciphertext.length; block++) {
+        const counterBlock = Buffer.alloc(16);
+        // Counters beyond 2^48 don't occur in practice
+        counterBlock.writeUIntLE(counter + block, 0, 6);
+        const keystream = cipher.update(counterBlock);
+        for (let i = 0; i < 16 && block * 16 + i < ciphertext.length; i++) {
+            plain[block * 16 + i] = ciphertext[block * 16 + i] ^ keystream[i];
+        }
+    }
+    return plain;
+}
+
+module.exports = {
+    parseKey,
+    macToBytes,
+    decryptAesCcm,
+    decryptAesCtrLE,
+};
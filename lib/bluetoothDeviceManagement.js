@@ -1,6 +1,7 @@
 'use strict';
 
 const { DeviceManagement } = require('@iobroker/dm-utils');
+const ConnectionManager = require('./connectionManager');
 
 /**
  * BluetoothDeviceManagement – dm-utils bridge for the ioBroker.bluetooth adapter.
@@ -67,7 +68,7 @@ class BluetoothDeviceManagement extends DeviceManagement {
             if (seenMacs.has(devId)) return null;
             seenMacs.add(devId);
 
-            const name = (entry && entry.name) || devId;
+            const name = (entry && (entry.name || entry.label)) || devId;
             const isConnected = !!(entry && entry.connected);
             const isPaired = !!(entry && entry.paired);
 
@@ -174,8 +175,7 @@ class BluetoothDeviceManagement extends DeviceManagement {
                     return { refresh: false };
                 }
                 try {
-                    const devicePath = adapter.bluez.macToDevicePath(mac);
-                    await adapter.bluez.connect(devicePath);
+                    await adapter.connections.connect(mac, ConnectionManager.PRIORITY.USER);
                     adapter.log.info(`DM: Connected to ${mac}`);
                 } catch (e) {
                     await context.showMessage(`Connect failed: ${e.message}`);
@@ -185,8 +185,7 @@ class BluetoothDeviceManagement extends DeviceManagement {
             case 'disconnect': {
                 if (!adapter.bluez) return { refresh: false };
                 try {
-                    const devicePath = adapter.bluez.macToDevicePath(mac);
-                    await adapter.bluez.disconnect(devicePath);
+                    await adapter.connections.disconnect(mac);
                     adapter.log.info(`DM: Disconnected ${mac}`);
                 } catch (e) {
                     await context.showMessage(`Disconnect failed: ${e.message}`);
@@ -266,7 +265,7 @@ class BluetoothDeviceManagement extends DeviceManagement {
             sm: 6,
             disabled: true,
         };
-        data.name = (device && device.name) || (entry && entry.name) || id;
+        data.name = (device && device.name) || (entry && (entry.name || entry.label)) || id;
 
         items.mac = {
             type: 'text',
@@ -9,6 +9,7 @@
  * Provides:
  *   - Company ID → name  (manufacturer identification)
  *   - Service UUID → name (GATT service names)
+ *   - Characteristic / descriptor UUID → name (SIG-assigned, lib/data/*_uuids.json)
  */
 
 const path = require('path');
@@ -17,8 +18,11 @@ const fs = require('fs');
 /** @type {Map<number, string>} Company ID → name */
 let companyIds = null;
 
-/** @type {Map<string, string>} Lowercase UUID → name */
-let serviceUuids = null;
+/**
+ * UUID tables by file name: lowercase UUID → name
+ * @type {Map<string, Map<string, string>>}
+ */
+const uuidTables = new Map();
 
 /**
  * Lazily load and cache the company IDs map.
@@ -43,47 +47,50 @@ function getCompanyIds() {
 }
 
 /**
- * Lazily load and cache the service UUIDs map.
+ * Lazily load and cache a UUID → name table from lib/data.
+ * @param {string} file – e.g. "service_uuids.json"
  * @returns {Map<string, string>}
  */
-function getServiceUuids() {
-    if (serviceUuids) return serviceUuids;
+function getUuidTable(file) {
+    let table = uuidTables.get(file);
+    if (table) return table;
 
-    serviceUuids = new Map();
+    table = new Map();
+    uuidTables.set(file, table);
     try {
-        const raw = fs.readFileSync(path.join(__dirname, 'data', 'service_uuids.json'), 'utf8');
+        const raw = fs.readFileSync(path.join(__dirname, 'data', file), 'utf8');
         const entries = JSON.parse(raw);
         for (const entry of entries) {
             if (typeof entry.uuid === 'string' && typeof entry.name === 'string') {
-                serviceUuids.set(entry.uuid.toLowerCase(), entry.name);
+                table.set(entry.uuid.toLowerCase(), entry.name);
             }
         }
     } catch (e) {
         // Fallback: empty map
     }
-    return serviceUuids;
+    return table;
 }
 
 /**
- * Look up a company name by Bluetooth SIG Company Identifier.
- * @param {number} code – uint16 company ID
- * @returns {string|null}
+ * Lazily load and cache the service UUIDs map.
+ * @returns {Map<string, string>}
  */
-function lookupCompany(code) {
-    return getCompanyIds().get(code) || null;
+function getServiceUuids() {
+    return getUuidTable('service_uuids.json');
 }
 
 /**
- * Look up a GATT service name by UUID (short or full 128-bit).
- * @param {string} uuid – e.g. "180f" or "0000180f-0000-1000-8000-00805f9b34fb"
+ * Look up a UUID (short or full 128-bit) in a table.
+ * @param {Map<string, string>} table
+ * @param {string} uuid
  * @returns {string|null}
  */
-function lookupService(uuid) {
+function lookupUuid(table, uuid) {
     if (!uuid) return null;
     const lower = uuid.toLowerCase();
 
     // Try direct match first (short UUID like "180f")
-    const direct = getServiceUuids().get(lower);
+    const direct = table.get(lower);
     if (direct) return direct;
 
     // Try extracting short UUID from full 128-bit Bluetooth Base UUID
@@ -93,18 +100,56 @@ function lookupService(uuid) {
         const short = normalized.slice(4, 8);
         const tail = normalized.slice(8);
         if (tail === '00001000800000805f9b34fb') {
-            return getServiceUuids().get(short) || null;
+            return table.get(short) || null;
         }
         // Also try full 128-bit match
-        return getServiceUuids().get(lower) || null;
+        return table.get(lower) || null;
     }
 
     return null;
 }
 
+/**
+ * Look up a company name by Bluetooth SIG Company Identifier.
+ * @param {number} code – uint16 company ID
+ * @returns {string|null}
+ */
+function lookupCompany(code) {
+    return getCompanyIds().get(code) || null;
+}
+
+/**
+ * Look up a GATT service name by UUID (short or full 128-bit).
+ * @param {string} uuid – e.g. "180f" or "0000180f-0000-1000-8000-00805f9b34fb"
+ * @returns {string|null}
+ */
+function lookupService(uuid) {
+    return lookupUuid(getServiceUuids(), uuid);
+}
+
+/**
+ * Look up a GATT characteristic name by UUID (short or full 128-bit).
+ * @param {string} uuid – e.g. "2a19"
+ * @returns {string|null}
+ */
+function lookupCharacteristic(uuid) {
+    return lookupUuid(getUuidTable('characteristic_uuids.json'), uuid);
+}
+
+/**
+ * Look up a GATT descriptor name by UUID (short or full 128-bit).
+ * @param {string} uuid – e.g. "2902"
+ * @returns {string|null}
+ */
+function lookupDescriptor(uuid) {
+    return lookupUuid(getUuidTable('descriptor_uuids.json'), uuid);
+}
+
 module.exports = {
     lookupCompany,
     lookupService,
+    lookupCharacteristic,
+    lookupDescriptor,
     getCompanyIds,
     getServiceUuids,
 };
@@ -12,6 +12,7 @@ const ADAPTER_IFACE = 'org.bluez.Adapter1';
 const DEVICE_IFACE = 'org.bluez.Device1';
 const GATT_SERVICE_IFACE = 'org.bluez.GattService1';
 const GATT_CHAR_IFACE = 'org.bluez.GattCharacteristic1';
+const GATT_DESC_IFACE = 'org.bluez.GattDescriptor1';
 const BATTERY_IFACE = 'org.bluez.Battery1';
 const MEDIA_PLAYER_IFACE = 'org.bluez.MediaPlayer1';
 
@@ -27,6 +28,7 @@ const MEDIA_PLAYER_IFACE = 'org.bluez.MediaPlayer1';
  * @emits deviceChanged (mac, changedProps)
  * @emits deviceRemoved (mac)
  * @emits characteristicChanged (charPath, value)
+ * @emits gattChanged   (mac)
  * @emits mediaPlayerAdded    (path, interfaces)
  * @emits mediaPlayerRemoved  (path, interfaces)
  * @emits mediaPlayerChanged  (path, changed)
@@ -162,6 +164,14 @@ class BluezManager extends EventEmitter {
         return this._agent;
     }
 
+    /**
+     * Whether discovery is currently running.
+     * @returns {boolean}
+     */
+    isDiscovering() {
+        return this._discovering;
+    }
+
     /**
      * Start Bluetooth discovery with the given transport filter.
      * @param {'auto'|'le'|'bredr'} [transport='auto']
@@ -370,11 +380,12 @@ class BluezManager extends EventEmitter {
 
     /**
      * Wait for ServicesResolved on a device and then enumerate all
-     * GATT services and characteristics.
+     * GATT services, characteristics and their descriptors.
      *
      * @param {string} devicePath
      * @returns {Promise<Array<{uuid: string, path: string, primary: boolean,
-     *           characteristics: Array<{uuid: string, path: string, flags: string[]}>}>>}
+     *           characteristics: Array<{uuid: string, path: string, flags: string[],
+     *           descriptors: Array<{uuid: string, path: string, flags: string[]}>}>}>>}
      */
     async discoverServices(devicePath) {
         await this._waitForServicesResolved(devicePath, 30000);
@@ -399,10 +410,18 @@ class BluezManager extends EventEmitter {
                     if (!charIfaces[GATT_CHAR_IFACE]) continue;
 
                     const charProps = this._unwrapVariants(charIfaces[GATT_CHAR_IFACE]);
+                    const descriptors = [];
+                    for (const [descPath, descIfaces] of Object.entries(objects)) {
+                        if (!descPath.startsWith(charPath + '/') || !descIfaces[GATT_DESC_IFACE]) continue;
+                        const descProps = this._unwrapVariants(descIfaces[GATT_DESC_IFACE]);
+                        descriptors.push({ uuid: descProps.UUID || '', path: descPath, flags: descProps.Flags || [] });
+                    }
+
                     svc.characteristics.push({
                         uuid: charProps.UUID || '',
                         path: charPath,
                         flags: charProps.Flags || [],
+                        descriptors,
                     });
                 }
 
@@ -426,6 +445,29 @@ class BluezManager extends EventEmitter {
         return Buffer.from(value);
     }
 
+    /**
+     * Read a GATT descriptor value.
+     * @param {string} descPath – D-Bus object path of the descriptor
+     * @returns {Promise<Buffer>}
+     */
+    async readDescriptor(descPath) {
+        const proxy = await this._getCharProxy(descPath);
+        const descIface = proxy.getInterface(GATT_DESC_IFACE);
+        const value = await descIface.ReadValue({});
+        return Buffer.from(value);
+    }
+
+    /**
+     * Write a GATT descriptor value.
+     * @param {string} descPath
+     * @param {Buffer} value
+     */
+    async writeDescriptor(descPath, value) {
+        const proxy = await this._getCharProxy(descPath);
+        const descIface = proxy.getInterface(GATT_DESC_IFACE);
+        await descIface.WriteValue([...value], {});
+    }
+
     /**
      * Write a value to a GATT characteristic.
      * @param {string} charPath
@@ -588,6 +630,10 @@ class BluezManager extends EventEmitter {
             this.emit('mediaPlayerAdded', path, interfaces);
         }
 
+        if (interfaces[GATT_SERVICE_IFACE] || interfaces[GATT_CHAR_IFACE]) {
+            this._onGattObjectsChanged(path);
+        }
+
         if (!interfaces[DEVICE_IFACE]) return;
         if (!path.startsWith(this.adapterPath)) return;
 
@@ -621,6 +667,10 @@ class BluezManager extends EventEmitter {
             this.emit('mediaPlayerRemoved', path, interfaces);
         }
 
+        if (interfaces.includes(GATT_SERVICE_IFACE) || interfaces.includes(GATT_CHAR_IFACE)) {
+            this._onGattObjectsChanged(path);
+        }
+
         if (!interfaces.includes(DEVICE_IFACE)) return;
 
         const mac = this.devicePathToMac(path);
@@ -633,6 +683,22 @@ class BluezManager extends EventEmitter {
         this.emit('deviceRemoved', mac);
     }
 
+    /**
+     * A GATT service or characteristic object appeared or vanished. BlueZ
+     * handles Service Changed itself and re-exports the attributes; while it
+     * resolves services during a connect the objects come and go as well,
+     * so only changes after ServicesResolved count.
+     * @param {string} path – GATT object path below a device
+     * @private
+     */
+    _onGattObjectsChanged(path) {
+        if (!path.startsWith(`${this.adapterPath}/dev_`)) return;
+        const mac = this.devicePathToMac(path);
+        const device = mac && this._devices.get(mac);
+        if (!device || !device.servicesResolved) return;
+        this.emit('gattChanged', mac);
+    }
+
     /**
      * Handle PropertiesChanged signal (central dispatcher).
      * @param {string} path   – D-Bus object path
@@ -1,11 +1,15 @@
 'use strict';
 
 /**
- * bthomeParser.js – BTHome v2 protocol parser for BLE service data.
+ * bthomeParser.js – BTHome protocol parser for BLE service data.
  *
  * BTHome v2 is used by Shelly BLE devices, Xiaomi sensors, and other
  * compatible devices. Service UUID: 0xFCD2.
  *
+ * The legacy BTHome v1 format (UUID 0x181C, encrypted 0x181E) is still sent
+ * by older custom firmwares and is decoded into the same objects, see
+ * parseBTHomeV1().
+ *
  * Frame format:
  *   Byte 0:  Device Info byte
  *            - Bit 0:   Encryption flag (1 = encrypted)
@@ -15,61 +19,229 @@
  *            - 1 byte Object ID
  *            - N bytes Value (length depends on Object ID)
  *
+ * Encrypted frames (AES-128-CCM, 4-byte MIC):
+ *   Byte 0:      Device Info byte (encryption flag set)
+ *   Byte 1..n-9: Encrypted TLV objects
+ *   Last 8:      Counter (uint32 LE) + MIC (4 bytes)
+ *   Nonce:       MAC (6) + UUID (d2 fc) + Device Info (1) + Counter (4)
+ *
+ * BTHome v1 frame format:
+ *   Repeated objects:
+ *            - 1 byte control: bits 0-4 length (object ID + value),
+ *                              bits 5-7 format (0 uint, 1 sint, 2 float, 3 string, 4 MAC)
+ *            - 1 byte Object ID (same IDs as v2)
+ *            - N bytes Value (little-endian)
+ *   Encrypted frames (0x181E): objects + Counter (4) + MIC (4),
+ *   Nonce: MAC (6) + UUID (1e 18) + Counter (4), AAD 0x11
+ *
  * @see https://bthome.io/format/
+ * @see https://bthome.io/encryption/
+ * @see https://bthome.io/v1/
  */
 
+const { parseKey, macToBytes, decryptAesCcm } = require('./bleCrypto');
+
 /** BTHome service UUID */
 const BTHOME_SERVICE_UUID = 'fcd2';
 
+/** Legacy BTHome v1 service UUIDs */
+const BTHOME_V1_UUID = '181c';
+const BTHOME_V1_ENCRYPTED_UUID = '181e';
+
+/** BTHome v1 value formats (bits 5-7 of the control byte) */
+const V1_FORMAT_UINT = 0;
+const V1_FORMAT_SINT = 1;
+const V1_FORMAT_FLOAT = 2;
+const V1_FORMAT_STRING = 3;
+const V1_FORMAT_MAC = 4;
+
+/** Bytes appended to an encrypted frame: counter (4) + MIC (4) */
+const ENCRYPTION_TRAILER_LENGTH = 8;
+
 /**
- * Object ID definitions.
+ * Object ID definitions (complete BTHome v2 object list).
  * Each entry: { name, type, length, factor, unit, role }
  *
- * type: 'uint8' | 'uint16' | 'uint24' | 'sint16' | 'bool'
+ * type:   'uint8' | 'sint8' | 'uint16' | 'sint16' | 'uint24' | 'sint24' |
+ *         'uint32' | 'sint32' | 'bool' | 'text' | 'raw' | 'firmware' |
+ *         'button' | 'dimmer'
+ * length: value length in bytes; 0 = variable (first byte holds the length)
  * factor: multiply raw value by this to get the final value
  *
+ * Values are returned as number, boolean ('bool') or string ('text', 'raw',
+ * 'firmware'). Event objects ('button', 'dimmer') return the event name and
+ * are flagged with `event: true` in the parse result.
+ *
  * @type {Map<number, {name: string, type: string, length: number, factor: number, unit: string, role: string}>}
  */
 const OBJECT_IDS = new Map([
-    [0x00, { name: 'packet_id',    type: 'uint8',  length: 1, factor: 1,    unit: '',     role: 'value' }],
-    [0x01, { name: 'battery',      type: 'uint8',  length: 1, factor: 1,    unit: '%',    role: 'value.battery' }],
-    [0x02, { name: 'temperature',  type: 'sint16', length: 2, factor: 0.01, unit: '°C',   role: 'value.temperature' }],
-    [0x03, { name: 'humidity',     type: 'uint16', length: 2, factor: 0.01, unit: '%',    role: 'value.humidity' }],
-    [0x05, { name: 'illuminance',  type: 'uint24', length: 3, factor: 0.01, unit: 'lux',  role: 'value.illuminance' }],
-    [0x0A, { name: 'power',        type: 'uint8',  length: 1, factor: 1,    unit: '',     role: 'switch' }],
-    [0x0B, { name: 'opening',      type: 'uint8',  length: 1, factor: 1,    unit: '',     role: 'sensor.door' }],
-    [0x0C, { name: 'co2',          type: 'uint16', length: 2, factor: 1,    unit: 'ppm',  role: 'value.co2' }],
-    [0x0D, { name: 'tvoc',         type: 'uint16', length: 2, factor: 1,    unit: 'µg/m³', role: 'value.tvoc' }],
-    [0x0E, { name: 'moisture',     type: 'uint16', length: 2, factor: 0.01, unit: '%',    role: 'value.humidity' }],
-    [0x10, { name: 'power_on',     type: 'uint8',  length: 1, factor: 1,    unit: '',     role: 'switch' }],
-    [0x12, { name: 'co2',          type: 'uint16', length: 2, factor: 1,    unit: 'ppm',  role: 'value.co2' }],
-    [0x14, { name: 'moisture',     type: 'uint8',  length: 1, factor: 1,    unit: '%',    role: 'value.humidity' }],
-    [0x15, { name: 'battery_ok',   type: 'uint8',  length: 1, factor: 1,    unit: '',     role: 'indicator.lowbat' }],
-    [0x21, { name: 'motion',       type: 'uint8',  length: 1, factor: 1,    unit: '',     role: 'sensor.motion' }],
-    [0x2D, { name: 'window',       type: 'uint8',  length: 1, factor: 1,    unit: '',     role: 'sensor.window' }],
-    [0x2E, { name: 'humidity',     type: 'uint8',  length: 1, factor: 1,    unit: '%',    role: 'value.humidity' }],
-    [0x3A, { name: 'button',       type: 'uint8',  length: 1, factor: 1,    unit: '',     role: 'value' }],
-    [0x3F, { name: 'rotation',     type: 'sint16', length: 2, factor: 0.1,  unit: '°',    role: 'value' }],
-    [0x45, { name: 'temperature',  type: 'sint16', length: 2, factor: 0.1,  unit: '°C',   role: 'value.temperature' }],
+    // ── Sensor data ──────────────────────────────────────────────────
+    [0x00, { name: 'packet_id',         type: 'uint8',    length: 1, factor: 1,        unit: '',      role: 'value' }],
+    [0x01, { name: 'battery',           type: 'uint8',    length: 1, factor: 1,        unit: '%',     role: 'value.battery' }],
+    [0x02, { name: 'temperature',       type: 'sint16',   length: 2, factor: 0.01,     unit: '°C',    role: 'value.temperature' }],
+    [0x03, { name: 'humidity',          type: 'uint16',   length: 2, factor: 0.01,     unit: '%',     role: 'value.humidity' }],
+    [0x04, { name: 'pressure',          type: 'uint24',   length: 3, factor: 0.01,     unit: 'hPa',   role: 'value.pressure' }],
+    [0x05, { name: 'illuminance',       type: 'uint24',   length: 3, factor: 0.01,     unit: 'lux',   role: 'value.illuminance' }],
+    [0x06, { name: 'mass_kg',           type: 'uint16',   length: 2, factor: 0.01,     unit: 'kg',    role: 'value' }],
+    [0x07, { name: 'mass_lb',           type: 'uint16',   length: 2, factor: 0.01,     unit: 'lb',    role: 'value' }],
+    [0x08, { name: 'dewpoint',          type: 'sint16',   length: 2, factor: 0.01,     unit: '°C',    role: 'value.temperature.dewpoint' }],
+    [0x09, { name: 'count',             type: 'uint8',    length: 1, factor: 1,        unit: '',      role: 'value' }],
+    [0x0A, { name: 'energy',            type: 'uint24',   length: 3, factor: 0.001,    unit: 'kWh',   role: 'value.energy' }],
+    [0x0B, { name: 'power',             type: 'uint24',   length: 3, factor: 0.01,     unit: 'W',     role: 'value.power' }],
+    [0x0C, { name: 'voltage',           type: 'uint16',   length: 2, factor: 0.001,    unit: 'V',     role: 'value.voltage' }],
+    [0x0D, { name: 'pm25',              type: 'uint16',   length: 2, factor: 1,        unit: 'µg/m³', role: 'value' }],
+    [0x0E, { name: 'pm10',              type: 'uint16',   length: 2, factor: 1,        unit: 'µg/m³', role: 'value' }],
+    [0x12, { name: 'co2',               type: 'uint16',   length: 2, factor: 1,        unit: 'ppm',   role: 'value.co2' }],
+    [0x13, { name: 'tvoc',              type: 'uint16',   length: 2, factor: 1,        unit: 'µg/m³', role: 'value' }],
+    [0x14, { name: 'moisture',          type: 'uint16',   length: 2, factor: 0.01,     unit: '%',     role: 'value.moisture' }],
+    [0x2E, { name: 'humidity',          type: 'uint8',    length: 1, factor: 1,        unit: '%',     role: 'value.humidity' }],
+    [0x2F, { name: 'moisture',          type: 'uint8',    length: 1, factor: 1,        unit: '%',     role: 'value.moisture' }],
+    [0x3D, { name: 'count',             type: 'uint16',   length: 2, factor: 1,        unit: '',      role: 'value' }],
+    [0x3E, { name: 'count',             type: 'uint32',   length: 4, factor: 1,        unit: '',      role: 'value' }],
+    [0x3F, { name: 'rotation',          type: 'sint16',   length: 2, factor: 0.1,      unit: '°',     role: 'value' }],
+    [0x40, { name: 'distance_mm',       type: 'uint16',   length: 2, factor: 1,        unit: 'mm',    role: 'value.distance' }],
+    [0x41, { name: 'distance_m',        type: 'uint16',   length: 2, factor: 0.1,      unit: 'm',     role: 'value.distance' }],
+    [0x42, { name: 'duration',          type: 'uint24',   length: 3, factor: 0.001,    unit: 's',     role: 'value.interval' }],
+    [0x43, { name: 'current',           type: 'uint16',   length: 2, factor: 0.001,    unit: 'A',     role: 'value.current' }],
+    [0x44, { name: 'speed',             type: 'uint16',   length: 2, factor: 0.01,     unit: 'm/s',   role: 'value.speed' }],
+    [0x45, { name: 'temperature',       type: 'sint16',   length: 2, factor: 0.1,      unit: '°C',    role: 'value.temperature' }],
+    [0x46, { name: 'uv_index',          type: 'uint8',    length: 1, factor: 0.1,      unit: '',      role: 'value.uv' }],
+    [0x47, { name: 'volume',            type: 'uint16',   length: 2, factor: 0.1,      unit: 'L',     role: 'value.volume' }],
+    [0x48, { name: 'volume_ml',         type: 'uint16',   length: 2, factor: 1,        unit: 'mL',    role: 'value.volume' }],
+    [0x49, { name: 'volume_flow_rate',  type: 'uint16',   length: 2, factor: 0.001,    unit: 'm³/h',  role: 'value.flow' }],
+    [0x4A, { name: 'voltage',           type: 'uint16',   length: 2, factor: 0.1,      unit: 'V',     role: 'value.voltage' }],
+    [0x4B, { name: 'gas',               type: 'uint24',   length: 3, factor: 0.001,    unit: 'm³',    role: 'value' }],
+    [0x4C, { name: 'gas',               type: 'uint32',   length: 4, factor: 0.001,    unit: 'm³',    role: 'value' }],
+    [0x4D, { name: 'energy',            type: 'uint32',   length: 4, factor: 0.001,    unit: 'kWh',   role: 'value.energy' }],
+    [0x4E, { name: 'volume',            type: 'uint32',   length: 4, factor: 0.001,    unit: 'L',     role: 'value.volume' }],
+    [0x4F, { name: 'water',             type: 'uint32',   length: 4, factor: 0.001,    unit: 'L',     role: 'value.volume' }],
+    [0x50, { name: 'timestamp',         type: 'uint32',   length: 4, factor: 1000,     unit: '',      role: 'date' }],
+    [0x51, { name: 'acceleration',      type: 'uint16',   length: 2, factor: 0.001,    unit: 'm/s²',  role: 'value' }],
+    [0x52, { name: 'gyroscope',         type: 'uint16',   length: 2, factor: 0.001,    unit: '°/s',   role: 'value' }],
+    [0x53, { name: 'text',              type: 'text',     length: 0, factor: 1,        unit: '',      role: 'text' }],
+    [0x54, { name: 'raw',               type: 'raw',      length: 0, factor: 1,        unit: '',      role: 'text' }],
+    [0x55, { name: 'volume_storage',    type: 'uint32',   length: 4, factor: 0.001,    unit: 'L',     role: 'value.volume' }],
+    [0x56, { name: 'conductivity',      type: 'uint16',   length: 2, factor: 1,        unit: 'µS/cm', role: 'value' }],
+    [0x57, { name: 'temperature',       type: 'sint8',    length: 1, factor: 1,        unit: '°C',    role: 'value.temperature' }],
+    [0x58, { name: 'temperature',       type: 'sint8',    length: 1, factor: 0.35,     unit: '°C',    role: 'value.temperature' }],
+    [0x59, { name: 'count',             type: 'sint8',    length: 1, factor: 1,        unit: '',      role: 'value' }],
+    [0x5A, { name: 'count',             type: 'sint16',   length: 2, factor: 1,        unit: '',      role: 'value' }],
+    [0x5B, { name: 'count',             type: 'sint32',   length: 4, factor: 1,        unit: '',      role: 'value' }],
+    [0x5C, { name: 'power',             type: 'sint32',   length: 4, factor: 0.01,     unit: 'W',     role: 'value.power' }],
+    [0x5D, { name: 'current',           type: 'sint16',   length: 2, factor: 0.001,    unit: 'A',     role: 'value.current' }],
+    [0x5E, { name: 'direction',         type: 'uint16',   length: 2, factor: 0.01,     unit: '°',     role: 'value.direction' }],
+    [0x5F, { name: 'precipitation',     type: 'uint16',   length: 2, factor: 0.1,      unit: 'mm',    role: 'value.precipitation' }],
+    [0x60, { name: 'channel',           type: 'uint8',    length: 1, factor: 1,        unit: '',      role: 'value' }],
+    [0x61, { name: 'rotational_speed',  type: 'uint16',   length: 2, factor: 1,        unit: 'rpm',   role: 'value.speed' }],
+
+    // ── Binary sensor data ───────────────────────────────────────────
+    [0x0F, { name: 'generic_boolean',   type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor' }],
+    [0x10, { name: 'power_on',          type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'switch' }],
+    [0x11, { name: 'opening',           type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.door' }],
+    [0x15, { name: 'battery_low',       type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'indicator.lowbat' }],
+    [0x16, { name: 'battery_charging',  type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'indicator' }],
+    [0x17, { name: 'carbon_monoxide',   type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.alarm' }],
+    [0x18, { name: 'cold',              type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.alarm' }],
+    [0x19, { name: 'connectivity',      type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'indicator.connected' }],
+    [0x1A, { name: 'door',              type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.door' }],
+    [0x1B, { name: 'garage_door',       type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.door' }],
+    [0x1C, { name: 'gas_detected',      type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.alarm' }],
+    [0x1D, { name: 'heat',              type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.alarm' }],
+    [0x1E, { name: 'light',             type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.light' }],
+    [0x1F, { name: 'lock',              type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.lock' }],
+    [0x20, { name: 'moisture_detected', type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.alarm.flood' }],
+    [0x21, { name: 'motion',            type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.motion' }],
+    [0x22, { name: 'moving',            type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.motion' }],
+    [0x23, { name: 'occupancy',         type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.motion' }],
+    [0x24, { name: 'plug',              type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor' }],
+    [0x25, { name: 'presence',          type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.motion' }],
+    [0x26, { name: 'problem',           type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'indicator.maintenance' }],
+    [0x27, { name: 'running',           type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'indicator.working' }],
+    [0x28, { name: 'safety',            type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.alarm' }],
+    [0x29, { name: 'smoke',             type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.alarm.fire' }],
+    [0x2A, { name: 'sound',             type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.noise' }],
+    [0x2B, { name: 'tamper',            type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.alarm' }],
+    [0x2C, { name: 'vibration',         type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.vibration' }],
+    [0x2D, { name: 'window',            type: 'bool',     length: 1, factor: 1,        unit: '',      role: 'sensor.window' }],
+
+    // ── Events ───────────────────────────────────────────────────────
+    [0x3A, { name: 'button',            type: 'button',   length: 1, factor: 1,        unit: '',      role: 'state' }],
+    [0x3C, { name: 'dimmer',            type: 'dimmer',   length: 2, factor: 1,        unit: '',      role: 'state' }],
+
+    // ── Device information ───────────────────────────────────────────
+    [0xF0, { name: 'device_type_id',    type: 'uint16',   length: 2, factor: 1,        unit: '',      role: 'value' }],
+    [0xF1, { name: 'firmware_version',  type: 'firmware', length: 4, factor: 1,        unit: '',      role: 'info.firmware' }],
+    [0xF2, { name: 'firmware_version',  type: 'firmware', length: 3, factor: 1,        unit: '',      role: 'info.firmware' }],
 ]);
 
+/** Button event codes (object 0x3A) */
+const BUTTON_EVENTS = {
+    0x00: 'none',
+    0x01: 'press',
+    0x02: 'double_press',
+    0x03: 'triple_press',
+    0x04: 'long_press',
+    0x05: 'long_double_press',
+    0x06: 'long_triple_press',
+    0x80: 'hold_press',
+};
+
+/** Dimmer event codes (object 0x3C, first byte; second byte = steps) */
+const DIMMER_EVENTS = {
+    0x00: 'none',
+    0x01: 'rotate_left',
+    0x02: 'rotate_right',
+};
+
+/**
+ * Number of decimals to keep after applying a factor (avoids floating point
+ * artifacts like 21.150000000000002).
+ *
+ * @param {number} factor
+ * @returns {number}
+ */
+function factorDecimals(factor) {
+    const fraction = String(factor).split('.')[1];
+    return fraction ? fraction.length : 0;
+}
+
 /**
  * Read a value from a buffer at the given offset based on the type descriptor.
  *
  * @param {Buffer} buf
  * @param {number} offset
- * @param {string} type – 'uint8', 'uint16', 'uint24', 'sint16', 'bool'
+ * @param {string} type – see OBJECT_IDS
  * @param {number} factor
- * @returns {number}
+ * @param {number} [length] – value length in bytes (needed for text/raw/firmware)
+ * @returns {number|boolean|string}
  */
-function readValue(buf, offset, type, factor) {
+function readValue(buf, offset, type, factor, length) {
     let raw;
 
     switch (type) {
-        case 'uint8':
         case 'bool':
+            return buf.readUInt8(offset) !== 0;
+        case 'text':
+            return buf.toString('utf8', offset, offset + length);
+        case 'raw':
+            return buf.toString('hex', offset, offset + length);
+        case 'firmware':
+            // Stored little-endian: last byte is the major version
+            return [...buf.subarray(offset, offset + length)].reverse().join('.');
+        case 'button': {
+            const code = buf.readUInt8(offset);
+            return BUTTON_EVENTS[code] || `unknown_${code}`;
+        }
+        case 'dimmer': {
+            const code = buf.readUInt8(offset);
+            return DIMMER_EVENTS[code] || `unknown_${code}`;
+        }
+        case 'uint8':
             raw = buf.readUInt8(offset);
             break;
+        case 'sint8':
+            raw = buf.readInt8(offset);
+            break;
         case 'uint16':
             raw = buf.readUInt16LE(offset);
             break;
@@ -77,7 +249,16 @@ function readValue(buf, offset, type, factor) {
             raw = buf.readInt16LE(offset);
             break;
         case 'uint24':
-            raw = buf.readUInt8(offset) | (buf.readUInt8(offset + 1) << 8) | (buf.readUInt8(offset + 2) << 16);
+            raw = buf.readUIntLE(offset, 3);
+            break;
+        case 'sint24':
+            raw = buf.readIntLE(offset, 3);
+            break;
+        case 'uint32':
+            raw = buf.readUInt32LE(offset);
+            break;
+        case 'sint32':
+            raw = buf.readInt32LE(offset);
             break;
         default:
             raw = buf.readUInt8(offset);
@@ -86,22 +267,187 @@ function readValue(buf, offset, type, factor) {
 
     if (factor !== 1) {
         // Round to avoid floating point artifacts
-        return Math.round(raw * factor * 1000) / 1000;
+        return Number((raw * factor).toFixed(factorDecimals(factor)));
     }
     return raw;
 }
 
+/**
+ * Decode the TLV object list of a (decrypted) BTHome v2 payload.
+ *
+ * Parsing stops at the first unknown object ID, because its length (and thus
+ * the position of the next object) cannot be known.
+ *
+ * @param {Buffer} buf
+ * @param {number} offset – offset of the first object ID
+ * @returns {Array<{objectId: number, name: string, value: number|boolean|string, unit: string, role: string,
+ *           event?: boolean, steps?: number}>}
+ */
+function parseObjects(buf, offset) {
+    const values = [];
+
+    while (offset < buf.length) {
+        const objectId = buf.readUInt8(offset);
+        offset += 1;
+
+        const def = OBJECT_IDS.get(objectId);
+        if (!def) {
+            // Unknown object ID – we don't know the length, so we must stop
+            break;
+        }
+
+        let length = def.length;
+        if (length === 0) {
+            // Variable length: first byte holds the number of value bytes
+            if (offset >= buf.length) break;
+            length = buf.readUInt8(offset);
+            offset += 1;
+        }
+
+        if (offset + length > buf.length) {
+            // Not enough data remaining
+            break;
+        }
+
+        const value = readValue(buf, offset, def.type, def.factor, length);
+        const entry = {
+            objectId,
+            name: def.name,
+            value,
+            unit: def.unit,
+            role: def.role,
+        };
+        if (def.type === 'button' || def.type === 'dimmer') {
+            entry.event = true;
+            if (def.type === 'dimmer') entry.steps = buf.readUInt8(offset + 1);
+        }
+        offset += length;
+
+        values.push(entry);
+    }
+
+    return values;
+}
+
+/**
+ * Decode the object list of a (decrypted) BTHome v1 payload.
+ *
+ * v1 objects carry their own length and number format, so unknown object IDs
+ * can be skipped. Names, factors and units come from the v2 table.
+ *
+ * @param {Buffer} buf
+ * @returns {Array<{objectId: number, name: string, value: number|boolean|string, unit: string, role: string}>}
+ */
+function parseObjectsV1(buf) {
+    const values = [];
+    let offset = 0;
+
+    while (offset + 2 <= buf.length) {
+        const control = buf.readUInt8(offset);
+        const length = control & 0x1f;
+        const format = (control >> 5) & 0x07;
+        const objectId = buf.readUInt8(offset + 1);
+        const start = offset + 2;
+        const end = offset + 1 + length;
+
+        if (length < 1 || end > buf.length) {
+            // Corrupt length – the rest of the frame cannot be trusted
+            break;
+        }
+        offset = end;
+
+        const def = OBJECT_IDS.get(objectId);
+        const size = end - start;
+        if (!def || size === 0) continue;
+
+        let value;
+        switch (format) {
+            case V1_FORMAT_UINT:
+            case V1_FORMAT_SINT: {
+                if (size > 6) continue;
+                const raw = format === V1_FORMAT_SINT ? buf.readIntLE(start, size) : buf.readUIntLE(start, size);
+                value = def.type === 'bool'
+                    ? raw !== 0
+                    : (def.factor !== 1 ? Number((raw * def.factor).toFixed(factorDecimals(def.factor))) : raw);
+                break;
+            }
+            case V1_FORMAT_FLOAT:
+                if (size !== 4) continue;
+                value = buf.readFloatLE(start);
+                break;
+            case V1_FORMAT_STRING:
+                value = buf.toString('utf8', start, end);
+                break;
+            case V1_FORMAT_MAC:
+                value = [...buf.subarray(start, end)].reverse()
+                    .map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(':');
+                break;
+            default:
+                continue;
+        }
+
+        // v1 has no event objects – button/dimmer IDs are not decoded
+        if (def.type === 'button' || def.type === 'dimmer') continue;
+
+        values.push({
+            objectId,
+            name: def.name,
+            value,
+            unit: def.unit,
+            role: def.role,
+        });
+    }
+
+    return values;
+}
+
+/**
+ * Decrypt an encrypted BTHome v2 frame.
+ *
+ * @param {Buffer} data  – complete service data (device info byte first)
+ * @param {Buffer} mac   – 6 raw MAC bytes
+ * @param {Buffer} key   – 16-byte bind key
+ * @returns {{counter: number, payload: Buffer|null}|null} – null if the frame is too short
+ */
+function decryptFrame(data, mac, key) {
+    if (data.length < 1 + ENCRYPTION_TRAILER_LENGTH + 1) return null;
+
+    const trailer = data.length - ENCRYPTION_TRAILER_LENGTH;
+    const ciphertext = data.subarray(1, trailer);
+    const counterBytes = data.subarray(trailer, trailer + 4);
+    const tag = data.subarray(trailer + 4);
+
+    const uuid = Buffer.alloc(2);
+    uuid.writeUInt16LE(parseInt(BTHOME_SERVICE_UUID, 16));
+    const nonce = Buffer.concat([mac, uuid, data.subarray(0, 1), counterBytes]);
+
+    return {
+        counter: counterBytes.readUInt32LE(0),
+        payload: decryptAesCcm({ key, nonce, ciphertext, tag }),
+    };
+}
+
 /**
  * Parse a BTHome v2 service data payload.
  *
+ * Encrypted frames are decrypted when `opts.bindKey` and `opts.mac` are given.
+ * If that is not possible the result carries an `error` instead of values:
+ *   - 'missingKey'    – frame is encrypted but no (valid) bind key is configured
+ *   - 'decryptFailed' – authentication failed (wrong key or corrupted frame)
+ *
  * @param {Buffer} data – raw service data buffer (starts with device info byte)
+ * @param {object} [opts]
+ * @param {string} [opts.mac]     – device MAC, required for decryption
+ * @param {string} [opts.bindKey] – 32 hex chars bind key
  * @returns {{
  *   version: number,
  *   encrypted: boolean,
- *   values: Array<{objectId: number, name: string, value: number, unit: string, role: string}>
+ *   counter: number|null,
+ *   error: string|null,
+ *   values: Array<{objectId: number, name: string, value: number|boolean|string, unit: string, role: string}>
  * }|null}
  */
-function parseBTHome(data) {
+function parseBTHome(data, opts = {}) {
     if (!Buffer.isBuffer(data) || data.length < 2) {
         return null;
     }
@@ -116,55 +462,91 @@ function parseBTHome(data) {
         return null;
     }
 
-    if (encrypted) {
-        // Encrypted payloads are not supported (yet)
+    if (!encrypted) {
+        return { version, encrypted, counter: null, error: null, values: parseObjects(data, 1) };
+    }
+
+    const key = parseKey(opts.bindKey);
+    const mac = macToBytes(opts.mac);
+    if (!key || !mac) {
+        return { version, encrypted, counter: null, error: 'missingKey', values: [] };
+    }
+
+    const frame = decryptFrame(data, mac, key);
+    if (!frame) {
         return null;
     }
+    if (!frame.payload) {
+        return { version, encrypted, counter: frame.counter, error: 'decryptFailed', values: [] };
+    }
 
-    const values = [];
-    let offset = 1;
+    return { version, encrypted, counter: frame.counter, error: null, values: parseObjects(frame.payload, 0) };
+}
 
-    while (offset < data.length) {
-        const objectId = data.readUInt8(offset);
-        offset += 1;
+/**
+ * Parse a legacy BTHome v1 service data payload.
+ *
+ * Encrypted frames (UUID 0x181E) are decrypted like v2 frames, the result
+ * uses the same shape and error codes as parseBTHome().
+ *
+ * @param {Buffer} data – raw service data buffer
+ * @param {object} [opts]
+ * @param {boolean} [opts.encrypted] – true for UUID 0x181E
+ * @param {string} [opts.mac]        – device MAC, required for decryption
+ * @param {string} [opts.bindKey]    – 32 hex chars bind key
+ * @returns {{version: number, encrypted: boolean, counter: number|null, error: string|null, values: Array}|null}
+ */
+function parseBTHomeV1(data, opts = {}) {
+    if (!Buffer.isBuffer(data) || data.length < 2) {
+        return null;
+    }
 
-        const def = OBJECT_IDS.get(objectId);
-        if (!def) {
-            // Unknown object ID – we don't know the length, so we must stop
-            break;
-        }
+    const encrypted = !!opts.encrypted;
+    if (!encrypted) {
+        return { version: 1, encrypted, counter: null, error: null, values: parseObjectsV1(data) };
+    }
 
-        if (offset + def.length > data.length) {
-            // Not enough data remaining
-            break;
-        }
+    const key = parseKey(opts.bindKey);
+    const mac = macToBytes(opts.mac);
+    if (!key || !mac) {
+        return { version: 1, encrypted, counter: null, error: 'missingKey', values: [] };
+    }
+    if (data.length < ENCRYPTION_TRAILER_LENGTH + 2) {
+        return null;
+    }
 
-        const value = readValue(data, offset, def.type, def.factor);
-        offset += def.length;
+    const trailer = data.length - ENCRYPTION_TRAILER_LENGTH;
+    const counterBytes = data.subarray(trailer, trailer + 4);
+    const uuid = Buffer.alloc(2);
+    uuid.writeUInt16LE(parseInt(BTHOME_V1_ENCRYPTED_UUID, 16));
 
-        values.push({
-            objectId,
-            name: def.name,
-            value,
-            unit: def.unit,
-            role: def.role,
-        });
+    const payload = decryptAesCcm({
+        key,
+        nonce: Buffer.concat([mac, uuid, counterBytes]),
+        ciphertext: data.subarray(0, trailer),
+        tag: data.subarray(trailer + 4),
+        aad: Buffer.from([0x11]),
+    });
+    const counter = counterBytes.readUInt32LE(0);
+    if (!payload) {
+        return { version: 1, encrypted, counter, error: 'decryptFailed', values: [] };
     }
 
-    return { version, encrypted, values };
+    return { version: 1, encrypted, counter, error: null, values: parseObjectsV1(payload) };
 }
 
 /**
- * Check if a service data entry is BTHome v2.
+ * Find the service data entry with the given UUID (BTHome v2 by default).
  *
  * @param {Array<{uuid: string, data: Buffer}>} serviceDataArray
+ * @param {string} [uuid] – 16-bit service UUID, lower case hex
  * @returns {Buffer|null} – the raw data buffer if found, null otherwise
  */
-function findBTHomeData(serviceDataArray) {
+function findBTHomeData(serviceDataArray, uuid = BTHOME_SERVICE_UUID) {
     if (!Array.isArray(serviceDataArray)) return null;
 
     for (const entry of serviceDataArray) {
-        if (entry.uuid && entry.uuid.toLowerCase() === BTHOME_SERVICE_UUID) {
+        if (entry.uuid && entry.uuid.toLowerCase() === uuid) {
             return Buffer.isBuffer(entry.data) ? entry.data : null;
         }
     }
@@ -173,7 +555,12 @@ function findBTHomeData(serviceDataArray) {
 
 module.exports = {
     parseBTHome,
+    parseBTHomeV1,
     findBTHomeData,
     BTHOME_SERVICE_UUID,
+    BTHOME_V1_UUID,
+    BTHOME_V1_ENCRYPTED_UUID,
     OBJECT_IDS,
+    BUTTON_EVENTS,
+    DIMMER_EVENTS,
 };
@@ -0,0 +1,329 @@
+'use strict';
+
+/**
+ * characteristicCodecs.js – user-configured value codecs for GATT characteristics.
+ *
+ * A codec turns the raw characteristic value into a typed state value and
+ * back, so reads, notifications and writes round-trip. It is configured
+ * either in the native section of the characteristic state
+ *
+ *   native.codec = 'u16le'
+ *   native.codec = { codec: 's16le', scale: 0.01, unit: '°C' }
+ *
+ * or in the "GATT codecs" admin table (rows { mac, uuid, codec, scale, params, unit }).
+ * The native section wins over the table.
+ *
+ * Codecs:
+ *   u8 … s32be, float32le/be  numbers (× scale)
+ *   sfloat, float             IEEE-11073 16/32-bit (× scale)
+ *   bool                      byte != 0
+ *   utf8, hex                 strings
+ *   bitfield                  JSON object of named bits; params = bit names, e.g. "heater,fan,,light"
+ *   struct                    JSON object of fields; params = "name:type[*scale],…", e.g. "temp:s16le*0.01,hum:u8"
+ */
+
+const { readFormat, writeFormat } = require('./gattCharacteristics');
+
+/**
+ * Fixed-size codecs: byte length + reader/writer.
+ * @type {Record<string, {length: number, read: (buf: Buffer, offset: number) => number, write: (buf: Buffer, value: number, offset: number) => void}>}
+ */
+const NUMBER_CODECS = {
+    u8:        { length: 1, read: (b, o) => b.readUInt8(o), write: (b, v, o) => b.writeUInt8(v, o) },
+    s8:        { length: 1, read: (b, o) => b.readInt8(o), write: (b, v, o) => b.writeInt8(v, o) },
+    u16le:     { length: 2, read: (b, o) => b.readUInt16LE(o), write: (b, v, o) => b.writeUInt16LE(v, o) },
+    u16be:     { length: 2, read: (b, o) => b.readUInt16BE(o), write: (b, v, o) => b.writeUInt16BE(v, o) },
+    s16le:     { length: 2, read: (b, o) => b.readInt16LE(o), write: (b, v, o) => b.writeInt16LE(v, o) },
+    s16be:     { length: 2, read: (b, o) => b.readInt16BE(o), write: (b, v, o) => b.writeInt16BE(v, o) },
+    u24le:     { length: 3, read: (b, o) => b.readUIntLE(o, 3), write: (b, v, o) => b.writeUIntLE(v, o, 3) },
+    u24be:     { length: 3, read: (b, o) => b.readUIntBE(o, 3), write: (b, v, o) => b.writeUIntBE(v, o, 3) },
+    s24le:     { length: 3, read: (b, o) => b.readIntLE(o, 3), write: (b, v, o) => b.writeIntLE(v, o, 3) },
+    s24be:     { length: 3, read: (b, o) => b.readIntBE(o, 3), write: (b, v, o) => b.writeIntBE(v, o, 3) },
+    u32le:     { length: 4, read: (b, o) => b.readUInt32LE(o), write: (b, v, o) => b.writeUInt32LE(v, o) },
+    u32be:     { length: 4, read: (b, o) => b.readUInt32BE(o), write: (b, v, o) => b.writeUInt32BE(v, o) },
+    s32le:     { length: 4, read: (b, o) => b.readInt32LE(o), write: (b, v, o) => b.writeInt32LE(v, o) },
+    s32be:     { length: 4, read: (b, o) => b.readInt32BE(o), write: (b, v, o) => b.writeInt32BE(v, o) },
+    float32le: { length: 4, read: (b, o) => b.readFloatLE(o), write: (b, v, o) => b.writeFloatLE(v, o) },
+    float32be: { length: 4, read: (b, o) => b.readFloatBE(o), write: (b, v, o) => b.writeFloatBE(v, o) },
+    sfloat:    { length: 2, read: (b, o) => readFormat(b, 'sfloat', o), write: (b, v, o) => writeFormat('sfloat', v).copy(b, o) },
+    float:     { length: 4, read: (b, o) => readFormat(b, 'float', o), write: (b, v, o) => writeFormat('float', v).copy(b, o) },
+};
+
+/** Codecs producing floating point raw values (not rounded on write) */
+const FLOAT_CODECS = ['float32le', 'float32be', 'sfloat', 'float'];
+
+/** All codec names, for validation and the admin select */
+const CODEC_NAMES = [...Object.keys(NUMBER_CODECS), 'bool', 'utf8', 'hex', 'bitfield', 'struct'];
+
+/**
+ * Number of decimals of a scale factor, to round away float artifacts.
+ *
+ * @param {number} scale
+ * @returns {number}
+ */
+function scaleDecimals(scale) {
+    return (String(scale).split('.')[1] || '').length;
+}
+
+/**
+ * Read a scaled number.
+ *
+ * @param {string} codec
+ * @param {number} scale
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @returns {number|null} – null if the buffer is too short
+ */
+function readNumber(codec, scale, buf, offset) {
+    const def = NUMBER_CODECS[codec];
+    if (offset + def.length > buf.length) return null;
+    const raw = def.read(buf, offset);
+    if (raw === null || scale === 1) return raw;
+    return Number((raw * scale).toFixed(scaleDecimals(scale) + (FLOAT_CODECS.includes(codec) ? 2 : 0)));
+}
+
+/**
+ * Write a scaled number.
+ *
+ * @param {string} codec
+ * @param {number} scale
+ * @param {*} value
+ * @param {Buffer} buf
+ * @param {number} offset
+ */
+function writeNumber(codec, scale, value, buf, offset) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) throw new Error(`${value} is not a number`);
+    const raw = num / scale;
+    NUMBER_CODECS[codec].write(buf, FLOAT_CODECS.includes(codec) ? raw : Math.round(raw), offset);
+}
+
+/**
+ * Parse struct fields: "temp:s16le*0.01,hum:u8" or an array of { name, type, scale }.
+ *
+ * @param {string|Array<object>} params
+ * @returns {Array<{name: string, type: string, scale: number}>}
+ */
+function parseStructFields(params) {
+    const fields = Array.isArray(params)
+        ? params
+        : String(params || '').split(',').map(part => {
+            const [name, spec = ''] = part.split(':').map(s => s.trim());
+            const [type, scale] = spec.split('*');
+            return { name, type, scale };
+        });
+
+    return fields
+        .map(f => ({ name: f.name, type: f.type, scale: Number(f.scale) || 1 }))
+        .filter(f => f.name && NUMBER_CODECS[f.type]);
+}
+
+/**
+ * Parse bitfield names: "heater,fan,,light" or an array; empty names skip a bit.
+ *
+ * @param {string|Array<string>} params
+ * @returns {Array<string>}
+ */
+function parseBitNames(params) {
+    const names = Array.isArray(params) ? params : String(params || '').split(',');
+    return names.map(n => String(n || '').trim());
+}
+
+/**
+ * Parse a JSON object state value (struct/bitfield writes).
+ *
+ * @param {*} value
+ * @returns {object}
+ */
+function parseObject(value) {
+    const obj = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!obj || typeof obj !== 'object') throw new Error('Expected a JSON object');
+    return obj;
+}
+
+/**
+ * Normalise a codec configuration from native or an admin table row.
+ *
+ * @param {string|object} config – codec name or { codec, scale, params, unit, role }
+ * @returns {{codec: string, scale: number, params: *, unit: string, role: string}|null} null for unknown codecs
+ */
+function normaliseCodecConfig(config) {
+    const cfg = typeof config === 'string' ? { codec: config } : config;
+    if (!cfg || !CODEC_NAMES.includes(cfg.codec)) return null;
+
+    return {
+        codec: cfg.codec,
+        scale: Number.isFinite(Number(cfg.scale)) && Number(cfg.scale) !== 0 && cfg.scale !== '' && cfg.scale !== undefined
+            ? Number(cfg.scale)
+            : 1,
+        params: cfg.params ?? cfg.fields ?? cfg.bits ?? '',
+        unit: cfg.unit || '',
+        role: cfg.role || '',
+    };
+}
+
+/**
+ * Create a codec. The result can be used wherever a characteristic spec
+ * (see lib/gattCharacteristics.js) is expected.
+ *
+ * @param {string|object} config – see normaliseCodecConfig()
+ * @returns {{codec: string, type: string, unit: string, role: string,
+ *            decode: (buf: Buffer) => *, encode: (value: *) => Buffer}|null}
+ */
+function createCodec(config) {
+    const cfg = normaliseCodecConfig(config);
+    if (!cfg) return null;
+
+    const { codec, scale } = cfg;
+    const base = { codec, unit: cfg.unit };
+
+    if (NUMBER_CODECS[codec]) {
+        return {
+            ...base,
+            type: 'number',
+            role: cfg.role || 'value',
+            decode: buf => readNumber(codec, scale, buf, 0),
+            encode: value => {
+                const buf = Buffer.alloc(NUMBER_CODECS[codec].length);
+                writeNumber(codec, scale, value, buf, 0);
+                return buf;
+            },
+        };
+    }
+
+    switch (codec) {
+        case 'bool':
+            return {
+                ...base,
+                type: 'boolean',
+                role: cfg.role || 'switch',
+                decode: buf => (buf.length > 0 ? buf[0] !== 0 : null),
+                encode: value => Buffer.from([value && value !== 'false' && value !== '0' ? 1 : 0]),
+            };
+
+        case 'utf8':
+            return {
+                ...base,
+                type: 'string',
+                role: cfg.role || 'text',
+                decode: buf => buf.toString('utf8').replace(/\0+$/, ''),
+                encode: value => Buffer.from(String(value ?? ''), 'utf8'),
+            };
+
+        case 'hex':
+            return {
+                ...base,
+                type: 'string',
+                role: cfg.role || 'text',
+                decode: buf => buf.toString('hex'),
+                encode: value => {
+                    const hex = String(value ?? '').replace(/[\s:-]/g, '');
+                    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) throw new Error(`${value} is not a hex string`);
+                    return Buffer.from(hex, 'hex');
+                },
+            };
+
+        case 'bitfield': {
+            const names = parseBitNames(cfg.params);
+            const length = Math.min(Math.max(Math.ceil(names.length / 8), 1), 4);
+            const bitNames = names.length > 0 && names.some(Boolean)
+                ? names
+                : Array.from({ length: length * 8 }, (_, i) => `bit${i}`);
+            return {
+                ...base,
+                type: 'string',
+                role: cfg.role || 'json',
+                decode: buf => {
+                    if (buf.length < length) return null;
+                    const raw = buf.readUIntLE(0, length);
+                    const result = {};
+                    bitNames.forEach((name, bit) => {
+                        if (name) result[name] = Math.floor(raw / 2 ** bit) % 2 === 1;
+                    });
+                    return JSON.stringify(result);
+                },
+                encode: value => {
+                    let raw = 0;
+                    if (typeof value === 'number') {
+                        raw = value;
+                    } else {
+                        const obj = parseObject(value);
+                        bitNames.forEach((name, bit) => {
+                            if (name && obj[name]) raw += 2 ** bit;
+                        });
+                    }
+                    const buf = Buffer.alloc(length);
+                    buf.writeUIntLE(raw, 0, length);
+                    return buf;
+                },
+            };
+        }
+
+        case 'struct': {
+            const fields = parseStructFields(cfg.params);
+            if (fields.length === 0) return null;
+            const length = fields.reduce((sum, f) => sum + NUMBER_CODECS[f.type].length, 0);
+            return {
+                ...base,
+                type: 'string',
+                role: cfg.role || 'json',
+                decode: buf => {
+                    const result = {};
+                    let offset = 0;
+                    for (const f of fields) {
+                        const value = readNumber(f.type, f.scale, buf, offset);
+                        if (value === null) break;
+                        result[f.name] = value;
+                        offset += NUMBER_CODECS[f.type].length;
+                    }
+                    return JSON.stringify(result);
+                },
+                encode: value => {
+                    const obj = parseObject(value);
+                    const buf = Buffer.alloc(length);
+                    let offset = 0;
+                    for (const f of fields) {
+                        if (!(f.name in obj)) throw new Error(`Missing struct field "${f.name}"`);
+                        writeNumber(f.type, f.scale, obj[f.name], buf, offset);
+                        offset += NUMBER_CODECS[f.type].length;
+                    }
+                    return buf;
+                },
+            };
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Find the codec configuration of a characteristic in the admin table.
+ *
+ * @param {Array<object>} rows – admin table rows { mac, uuid, codec, scale, params, unit }
+ * @param {string} mac – any MAC notation
+ * @param {string} uuid – short or full characteristic UUID
+ * @returns {object|null}
+ */
+function findCodecConfig(rows, mac, uuid) {
+    if (!Array.isArray(rows)) return null;
+
+    const normMac = String(mac || '').toUpperCase().replace(/:/g, '-');
+    const normUuid = String(uuid || '').toLowerCase().replace(/-/g, '');
+    const short = normUuid.length === 32 && normUuid.endsWith('00001000800000805f9b34fb')
+        ? normUuid.slice(4, 8)
+        : null;
+
+    return rows.find(row => {
+        const rowMac = String(row.mac || '').trim().toUpperCase().replace(/:/g, '-');
+        const rowUuid = String(row.uuid || '').trim().toLowerCase().replace(/-/g, '');
+        return rowMac === normMac && rowUuid && (rowUuid === normUuid || rowUuid === short);
+    }) || null;
+}
+
+module.exports = {
+    createCodec,
+    normaliseCodecConfig,
+    findCodecConfig,
+    CODEC_NAMES,
+};
@@ -0,0 +1,261 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * ConnectionManager – hands out the controller's connection slots.
+ *
+ * USB and onboard controllers only handle a few simultaneous LE connections;
+ * further Connect() calls fail or push out existing links. All outgoing
+ * connects therefore go through this manager, which
+ *
+ *   - caps the number of connected devices (maxConnections),
+ *   - runs one connect at a time, ordered by priority
+ *     (user action > scheduled session > reconnect) and FIFO within a priority,
+ *   - merges repeated requests for the same device,
+ *   - optionally pauses discovery while connecting (many controllers abort
+ *     LE connection attempts while scanning).
+ *
+ * A slot is held while the device is connected, also when the connection
+ * was not made here (incoming, BlueZ auto-connect); the adapter reports
+ * connection changes via connected() / release().
+ *
+ * @emits change (used, queued) – slot usage or queue length changed
+ */
+
+/** Connect priorities, lower runs first */
+const PRIORITY = {
+    USER: 0,
+    SESSION: 1,
+    RECONNECT: 2,
+};
+
+class ConnectionManager extends EventEmitter {
+
+    /**
+     * @param {object} opts
+     * @param {import('./bluezManager')} opts.bluez
+     * @param {object} opts.log
+     * @param {number} [opts.maxConnections=5]
+     * @param {boolean} [opts.pauseDiscovery=false] – stop discovery while a connect is running
+     * @param {string} [opts.transport='auto']      – transport filter when discovery is resumed
+     */
+    constructor(opts) {
+        super();
+        this.bluez = opts.bluez;
+        this.log = opts.log;
+        this.maxConnections = Math.max(1, opts.maxConnections || 5);
+        this.pauseDiscovery = !!opts.pauseDiscovery;
+        this.transport = opts.transport || 'auto';
+
+        /** MACs holding a slot @type {Set<string>} */
+        this._connected = new Set();
+        /** Waiting connects @type {Array<{mac: string, priority: number, promise: Promise<void>, resolve: Function, reject: Function}>} */
+        this._queue = [];
+        /** Connect in progress @type {object|null} */
+        this._connecting = null;
+        /** Discovery was stopped by us and must be resumed */
+        this._discoveryPaused = false;
+    }
+
+    /**
+     * Connect a device as soon as a slot is free.
+     * Resolves once connected; a device that is already connected resolves at once.
+     *
+     * @param {string} mac
+     * @param {number} [priority=PRIORITY.RECONNECT]
+     * @returns {Promise<void>}
+     */
+    connect(mac, priority = PRIORITY.RECONNECT) {
+        const key = this._key(mac);
+        const device = this.bluez.getDevice(key);
+        if (device && device.connected) {
+            this.connected(key);
+            return Promise.resolve();
+        }
+
+        if (this._connecting && this._connecting.mac === key) return this._connecting.promise;
+
+        const queued = this._queue.find(item => item.mac === key);
+        if (queued) {
+            // A more urgent request moves the waiting one up
+            if (priority < queued.priority) {
+                this._queue.splice(this._queue.indexOf(queued), 1);
+                queued.priority = priority;
+                this._enqueue(queued);
+            }
+            return queued.promise;
+        }
+
+        const item = { mac: key, priority };
+        item.promise = new Promise((resolve, reject) => {
+            item.resolve = resolve;
+            item.reject = reject;
+        });
+        this._enqueue(item);
+        this._emitChange();
+        this._next();
+        return item.promise;
+    }
+
+    /**
+     * Disconnect a device and free its slot.
+     * @param {string} mac
+     */
+    async disconnect(mac) {
+        const key = this._key(mac);
+        this.cancel(key);
+        await this.bluez.disconnect(this.bluez.macToDevicePath(key));
+        this.release(key);
+    }
+
+    /**
+     * Drop a waiting connect request.
+     * @param {string} mac
+     */
+    cancel(mac) {
+        const key = this._key(mac);
+        const index = this._queue.findIndex(item => item.mac === key);
+        if (index === -1) return;
+
+        const [item] = this._queue.splice(index, 1);
+        item.reject(new Error('Connect cancelled'));
+        this._emitChange();
+    }
+
+    /**
+     * A device is connected (by us or otherwise) and holds a slot.
+     * @param {string} mac
+     */
+    connected(mac) {
+        const key = this._key(mac);
+        if (this._connected.has(key)) return;
+        this._connected.add(key);
+        this._emitChange();
+    }
+
+    /**
+     * A device disconnected – free its slot and start the next connect.
+     * @param {string} mac
+     */
+    release(mac) {
+        if (!this._connected.delete(this._key(mac))) return;
+        this._emitChange();
+        this._next();
+    }
+
+    /**
+     * Whether a connect for the device is queued or running.
+     * @param {string} mac
+     * @returns {boolean}
+     */
+    isPending(mac) {
+        const key = this._key(mac);
+        return (this._connecting && this._connecting.mac === key) || this._queue.some(item => item.mac === key);
+    }
+
+    /** @returns {number} slots in use */
+    get used() {
+        return this._connected.size;
+    }
+
+    /** @returns {number} waiting connects (including the running one) */
+    get queued() {
+        return this._queue.length + (this._connecting ? 1 : 0);
+    }
+
+    /**
+     * Reject all waiting connects (e.g. on unload).
+     */
+    clear() {
+        for (const item of this._queue.splice(0)) item.reject(new Error('Connection manager stopped'));
+        this._emitChange();
+    }
+
+    // ─── Private ────────────────────────────────────────────────────
+
+    /**
+     * Start the next connect if a slot is free.
+     * @private
+     */
+    async _next() {
+        if (this._connecting || this._queue.length === 0) return;
+        if (this._connected.size >= this.maxConnections) {
+            this.log.debug(`All ${this.maxConnections} connection slots in use, ${this._queue.length} connect(s) waiting`);
+            return;
+        }
+
+        const item = this._queue.shift();
+        this._connecting = item;
+
+        try {
+            await this._pauseDiscovery();
+            await this.bluez.connect(this.bluez.macToDevicePath(item.mac));
+            this._connected.add(item.mac);
+            item.resolve();
+        } catch (e) {
+            item.reject(e);
+        }
+
+        this._connecting = null;
+        this._emitChange();
+        // Don't keep discovery paused while waiting for a slot
+        if (this._queue.length > 0 && this._connected.size < this.maxConnections) {
+            this._next();
+        } else {
+            await this._resumeDiscovery();
+        }
+    }
+
+    /**
+     * Behind everything with the same or a higher priority.
+     * @private
+     */
+    _enqueue(item) {
+        const index = this._queue.findIndex(other => other.priority > item.priority);
+        if (index === -1) this._queue.push(item);
+        else this._queue.splice(index, 0, item);
+    }
+
+    /**
+     * @private
+     */
+    async _pauseDiscovery() {
+        if (!this.pauseDiscovery || this._discoveryPaused || !this.bluez.isDiscovering()) return;
+        this._discoveryPaused = true;
+        this.log.debug('Pausing discovery while connecting');
+        await this.bluez.stopDiscovery();
+    }
+
+    /**
+     * @private
+     */
+    async _resumeDiscovery() {
+        if (!this._discoveryPaused || this._connecting) return;
+        this._discoveryPaused = false;
+        try {
+            await this.bluez.startDiscovery(this.transport);
+        } catch (e) {
+            this.log.warn(`Resuming discovery failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _emitChange() {
+        this.emit('change', this.used, this.queued);
+    }
+
+    /**
+     * AA-BB-… / aa:bb:… → AA:BB:…
+     * @private
+     */
+    _key(mac) {
+        return String(mac).toUpperCase().replace(/-/g, ':');
+    }
+}
+
+ConnectionManager.PRIORITY = PRIORITY;
+
+module.exports = ConnectionManager;
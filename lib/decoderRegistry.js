@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * DecoderRegistry – pluggable decoders for BLE advertisement payloads.
+ *
+ * Every decoder is a plain object:
+ *
+ *   {
+ *     name:         'bthome-v2',           // unique id (used in logs)
+ *     channel:      'bthome',              // channel under the device for its states
+ *     channelName:  'BTHome data',         // optional display name of the channel
+ *     format:       'BTHome',              // optional name used in messages
+ *     serviceUuids: ['fcd2'],              // match service data by 16-bit UUID …
+ *     companyIds:   [0x0499],              // … or manufacturer data by company ID …
+ *     namePattern:  /^sps$/i,              // … and/or the advertised name
+ *     addresses:    ['AA-BB-CC-DD-EE-FF'], // … and/or device MACs
+ *     test(adv) { … },                     // … or a custom check of the whole advertisement
+ *     fallback:     false,                 // only run if no other decoder had a result
+ *     decode(input) { … },                 // → result or null
+ *   }
+ *
+ * A decoder needs at least one matcher. Service UUID decoders receive the
+ * service data, all others the manufacturer data; a name pattern or address
+ * list must match in addition to a UUID / company ID if both are given.
+ * Decoders with only a test() matcher get the advertisement as it is (data
+ * may be null) and read `serviceData` / `manufacturerData` themselves.
+ *
+ * decode() receives
+ *   { data, uuid, companyId, manufacturerData, serviceData, name, mac, settings }
+ * (data = service data or manufacturer payload without company ID, settings =
+ * the allowlist entry of the device, e.g. settings.bindKey) and returns
+ *
+ *   {
+ *     values:    [{ name, value, unit?, role?, type?, objectId?, event?, steps? }],
+ *     encrypted: false,                    // optional
+ *     error:     null,                     // 'missingKey' | 'decryptFailed' | … (encrypted frames)
+ *     counter:   null,                     // encryption counter, must not decrease (replay protection)
+ *     packetId:  null,                     // rolling id used to drop repeated packets
+ *     battery:   null,                     // battery level (%) for info.battery
+ *     controls:  [],                       // writable states: [{ name, command, type, role, unit?, min?, max? }]
+ *   }
+ *
+ * or null if the payload is not for this decoder. Values are normalised by
+ * the registry (type from the value, default unit and role), so DeviceManager
+ * can create the states generically. Writes to a control state are passed to
+ * the control handler of the decoder's channel in main.js with `command`.
+ *
+ * Built-in decoders live in lib/decoders/. Every module in that directory is
+ * loaded automatically; it may export one decoder or an array of decoders.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Default roles per value type */
+const DEFAULT_ROLES = {
+    number: 'value',
+    boolean: 'indicator',
+    string: 'text',
+};
+
+class DecoderRegistry {
+
+    /**
+     * @param {object} [opts]
+     * @param {{debug: Function, warn: Function}} [opts.log] – adapter logger
+     */
+    constructor(opts = {}) {
+        this.log = opts.log || { debug() {}, warn() {} };
+
+        /** @type {Array<object>} */
+        this.decoders = [];
+    }
+
+    /**
+     * Register a decoder.
+     *
+     * @param {object} decoder – see module description
+     * @throws {Error} if the decoder is invalid or its name is already taken
+     */
+    register(decoder) {
+        if (!decoder || typeof decoder.name !== 'string' || typeof decoder.decode !== 'function') {
+            throw new Error('Decoder needs a name and a decode() function');
+        }
+        if (!decoder.serviceUuids && !decoder.companyIds && !decoder.namePattern && !decoder.addresses
+            && typeof decoder.test !== 'function') {
+            throw new Error(`Decoder ${decoder.name} has no matcher (serviceUuids, companyIds, namePattern, addresses or test)`);
+        }
+        if (this.decoders.some(d => d.name === decoder.name)) {
+            throw new Error(`Decoder ${decoder.name} is already registered`);
+        }
+
+        this.decoders.push({
+            ...decoder,
+            channel: decoder.channel || decoder.name,
+            serviceUuids: decoder.serviceUuids ? decoder.serviceUuids.map(u => u.toLowerCase()) : null,
+            companyIds: decoder.companyIds || null,
+            namePattern: decoder.namePattern || null,
+            addresses: decoder.addresses ? decoder.addresses.map(a => a.toUpperCase().replace(/:/g, '-')) : null,
+            test: typeof decoder.test === 'function' ? decoder.test : null,
+            fallback: !!decoder.fallback,
+        });
+    }
+
+    /**
+     * Register every decoder module in a directory (*.js, sorted by file name).
+     * Broken modules are skipped with a warning.
+     *
+     * @param {string} dir
+     */
+    loadDirectory(dir) {
+        let files;
+        try {
+            files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+        } catch (e) {
+            this.log.warn(`Cannot read decoder directory ${dir}: ${e.message}`);
+            return;
+        }
+
+        for (const file of files) {
+            try {
+                const exported = require(path.resolve(dir, file));
+                for (const decoder of Array.isArray(exported) ? exported : [exported]) {
+                    this.register(decoder);
+                }
+            } catch (e) {
+                this.log.warn(`Decoder module ${file} not loaded: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Run all matching decoders on an advertisement.
+     *
+     * Decoders are tried in registration order; once a decoder produced a
+     * result, later decoders of the same channel are skipped (e.g. the Govee
+     * variants sharing company ID 0xEC88). Fallback decoders run last and only
+     * if no other decoder produced a result.
+     *
+     * @param {object} adv
+     * @param {string} adv.mac – ioBroker device ID (MAC with dashes)
+     * @param {string} [adv.name] – advertised name
+     * @param {Array<{uuid: string, data: Buffer}>|null} [adv.serviceData]
+     * @param {Buffer|null} [adv.manufacturerData] – company ID (uint16 LE) + payload
+     * @param {object} [settings] – allowlist entry of the device
+     * @returns {Array<{decoder: object, result: object}>}
+     */
+    decode(adv, settings = {}) {
+        const results = [];
+        const doneChannels = new Set();
+        const serviceData = Array.isArray(adv.serviceData) ? adv.serviceData : [];
+        const mfr = Buffer.isBuffer(adv.manufacturerData) && adv.manufacturerData.length >= 2
+            ? adv.manufacturerData
+            : null;
+        const companyId = mfr ? mfr.readUInt16LE(0) : null;
+        const name = adv.name || '';
+
+        const ordered = [
+            ...this.decoders.filter(d => !d.fallback),
+            ...this.decoders.filter(d => d.fallback),
+        ];
+
+        for (const decoder of ordered) {
+            if (doneChannels.has(decoder.channel)) continue;
+            if (decoder.fallback && results.length > 0) break;
+            if (decoder.namePattern && !decoder.namePattern.test(name)) continue;
+            if (decoder.addresses && !decoder.addresses.includes(adv.mac)) continue;
+
+            const base = { name, mac: adv.mac, settings, manufacturerData: mfr, companyId, serviceData };
+            let input = null;
+
+            if (decoder.test && !decoder.test(adv)) continue;
+
+            if (decoder.serviceUuids) {
+                const entry = serviceData.find(sd => sd.uuid
+                    && decoder.serviceUuids.includes(sd.uuid.toLowerCase())
+                    && Buffer.isBuffer(sd.data));
+                if (entry) input = { ...base, uuid: entry.uuid.toLowerCase(), data: entry.data };
+            } else if (mfr && (!decoder.companyIds || decoder.companyIds.includes(companyId))) {
+                input = { ...base, uuid: null, data: mfr.subarray(2) };
+            } else if (decoder.test && !decoder.companyIds) {
+                input = { ...base, uuid: null, data: null };
+            }
+            if (!input) continue;
+
+            let result;
+            try {
+                result = decoder.decode(input);
+            } catch (e) {
+                this.log.debug(`${adv.mac}: decoder ${decoder.name} failed: ${e.message}`);
+                continue;
+            }
+            if (!result) continue;
+
+            results.push({ decoder, result: this._normalise(result) });
+            doneChannels.add(decoder.channel);
+        }
+
+        return results;
+    }
+
+    /**
+     * Fill in defaults so every value carries name, value, unit, role and type.
+     *
+     * @param {object} result – decoder result
+     * @returns {object}
+     */
+    _normalise(result) {
+        const values = (result.values || [])
+            .filter(v => v && typeof v.name === 'string' && v.value !== undefined && v.value !== null)
+            .map(v => {
+                const type = v.type || (typeof v.value === 'boolean' || typeof v.value === 'string' ? typeof v.value : 'number');
+                return {
+                    ...v,
+                    type,
+                    unit: v.unit || '',
+                    role: v.role || DEFAULT_ROLES[type] || 'state',
+                };
+            });
+
+        return {
+            encrypted: !!result.encrypted,
+            error: result.error || null,
+            counter: result.counter ?? null,
+            packetId: result.packetId ?? null,
+            battery: typeof result.battery === 'number' ? result.battery : null,
+            controls: Array.isArray(result.controls) ? result.controls.filter(c => c && c.name && c.command) : [],
+            values,
+        };
+    }
+}
+
+module.exports = DecoderRegistry;
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Apple Continuity decoder (manufacturer data 0x004C): AirPods/Beats battery
+ * and charging state, coarse device type of other Apple devices.
+ */
+
+const { parseContinuity } = require('../appleContinuity');
+
+module.exports = {
+    name: 'apple-continuity',
+    channel: 'apple',
+    channelName: 'Apple Continuity data',
+    companyIds: [0x004C],
+    decode(input) {
+        const parsed = parseContinuity(input.data);
+        if (!parsed) return null;
+
+        const values = [
+            { name: 'device_type', value: parsed.deviceType, role: 'text' },
+        ];
+        if (parsed.activity) {
+            values.push({ name: 'activity', value: parsed.activity, role: 'text' });
+        }
+
+        const p = parsed.proximity;
+        if (!p) return { values };
+
+        values.push({ name: 'model', value: p.model, role: 'text' });
+        if (p.single) {
+            // Over-ear headphones and neckbands report one battery as "primary"
+            const pod = p.left.battery !== null ? p.left : p.right;
+            values.push(
+                { name: 'battery', value: pod.battery, unit: '%', role: 'value.battery' },
+                { name: 'charging', value: pod.charging, role: 'indicator' },
+            );
+            return { battery: pod.battery, values };
+        }
+
+        for (const [side, pod] of [['left', p.left], ['right', p.right]]) {
+            values.push(
+                { name: `battery_${side}`, value: pod.battery, unit: '%', role: 'value.battery' },
+                { name: `charging_${side}`, value: pod.charging, role: 'indicator' },
+                { name: `in_ear_${side}`, value: pod.inEar, role: 'sensor' },
+            );
+        }
+        values.push(
+            { name: 'battery_case', value: p.case.battery, unit: '%', role: 'value.battery' },
+            { name: 'charging_case', value: p.case.charging, role: 'indicator' },
+        );
+
+        // info.battery: the emptier pod
+        const levels = [p.left.battery, p.right.battery].filter(b => b !== null);
+        return { battery: levels.length > 0 ? Math.min(...levels) : null, values };
+    },
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * iBeacon (Apple manufacturer data) and Eddystone (0xFEAA) decoders.
+ * Both write into the `beacon` channel; `id` is the MAC-independent identity
+ * used to follow beacons with rotating addresses.
+ */
+
+const { parseIBeacon, parseEddystone, APPLE_COMPANY_ID, EDDYSTONE_SERVICE_UUID } = require('../advertisementParser');
+
+module.exports = [
+    {
+        name: 'ibeacon',
+        channel: 'beacon',
+        channelName: 'Beacon data',
+        companyIds: [APPLE_COMPANY_ID],
+        decode(input) {
+            const beacon = parseIBeacon(input.manufacturerData);
+            if (!beacon) return null;
+
+            return {
+                values: [
+                    { name: 'id', value: beacon.id, role: 'text' },
+                    { name: 'uuid', value: beacon.uuid, role: 'text' },
+                    { name: 'major', value: beacon.major, role: 'value' },
+                    { name: 'minor', value: beacon.minor, role: 'value' },
+                    { name: 'measured_power', value: beacon.measuredPower, unit: 'dBm', role: 'value' },
+                ],
+            };
+        },
+    },
+    {
+        name: 'eddystone',
+        channel: 'beacon',
+        channelName: 'Beacon data',
+        serviceUuids: [EDDYSTONE_SERVICE_UUID],
+        decode(input) {
+            const frame = parseEddystone(input.data);
+            if (!frame) return null;
+
+            switch (frame.frame) {
+                case 'uid':
+                    return {
+                        values: [
+                            { name: 'id', value: frame.id, role: 'text' },
+                            { name: 'namespace', value: frame.namespace, role: 'text' },
+                            { name: 'instance', value: frame.instance, role: 'text' },
+                            { name: 'tx_power', value: frame.txPower, unit: 'dBm', role: 'value' },
+                        ],
+                    };
+                case 'url':
+                    return {
+                        values: [
+                            { name: 'url', value: frame.url, role: 'text.url' },
+                            { name: 'tx_power', value: frame.txPower, unit: 'dBm', role: 'value' },
+                        ],
+                    };
+                case 'eid':
+                    return {
+                        values: [
+                            { name: 'eid', value: frame.eid, role: 'text' },
+                            { name: 'tx_power', value: frame.txPower, unit: 'dBm', role: 'value' },
+                        ],
+                    };
+                default:
+                    // TLM; encrypted TLM (eTLM) can't be read without the beacon's key
+                    if (frame.encrypted) return null;
+                    return {
+                        values: [
+                            { name: 'voltage', value: frame.voltage, unit: 'V', role: 'value.voltage' },
+                            { name: 'temperature', value: frame.temperature, unit: '°C', role: 'value.temperature' },
+                            { name: 'adv_count', value: frame.advCount, role: 'value' },
+                            { name: 'uptime', value: frame.uptime, unit: 's', role: 'value' },
+                        ],
+                    };
+            }
+        },
+    },
+];
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * BTHome decoders – v2 (0xFCD2), the legacy v1 format (0x181C, encrypted
+ * 0x181E) and the ATC1441 / pvvx custom firmware formats (0x181A), which end
+ * up in the same `bthome` channel. Encrypted frames use the bind key of the
+ * allowlist entry.
+ */
+
+const {
+    parseBTHome, parseBTHomeV1, BTHOME_SERVICE_UUID, BTHOME_V1_UUID, BTHOME_V1_ENCRYPTED_UUID,
+} = require('../bthomeParser');
+const { parseAtc, ATC_SERVICE_UUID } = require('../atcParser');
+
+/**
+ * Convert a parser result into a decoder result: the packet id object (0x00)
+ * is metadata used for deduplication, not a measurement.
+ *
+ * @param {object|null} parsed – result of parseBTHome() / parseBTHomeV1()
+ * @returns {object|null}
+ */
+function toResult(parsed) {
+    if (!parsed) return null;
+
+    const packetId = parsed.values.find(v => v.objectId === 0x00);
+    return {
+        encrypted: parsed.encrypted,
+        error: parsed.error,
+        counter: parsed.counter,
+        packetId: packetId ? packetId.value : null,
+        values: parsed.values.filter(v => v.objectId !== 0x00),
+    };
+}
+
+module.exports = [
+    {
+        name: 'bthome-v2',
+        channel: 'bthome',
+        channelName: 'BTHome data',
+        format: 'BTHome',
+        serviceUuids: [BTHOME_SERVICE_UUID],
+        decode: input => toResult(parseBTHome(input.data, { mac: input.mac, bindKey: input.settings.bindKey })),
+    },
+    {
+        name: 'bthome-v1',
+        channel: 'bthome',
+        channelName: 'BTHome data',
+        format: 'BTHome',
+        serviceUuids: [BTHOME_V1_UUID, BTHOME_V1_ENCRYPTED_UUID],
+        decode: input => toResult(parseBTHomeV1(input.data, {
+            mac: input.mac,
+            bindKey: input.settings.bindKey,
+            encrypted: input.uuid === BTHOME_V1_ENCRYPTED_UUID,
+        })),
+    },
+    {
+        name: 'atc',
+        channel: 'bthome',
+        channelName: 'BTHome data',
+        format: 'ATC',
+        serviceUuids: [ATC_SERVICE_UUID],
+        decode: input => toResult(parseAtc(input.data)),
+    },
+];
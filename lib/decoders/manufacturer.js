@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Manufacturer data decoders (Govee, Inkbird, RuuviTag), one per device model
+ * of lib/manufacturerParser.js. Each vendor gets its own channel.
+ */
+
+const { DECODERS } = require('../manufacturerParser');
+
+/** Channel display names per vendor */
+const CHANNEL_NAMES = {
+    govee: 'Govee data',
+    inkbird: 'Inkbird data',
+    ruuvi: 'RuuviTag data',
+};
+
+module.exports = DECODERS.map(model => ({
+    name: `${model.vendor}-${model.model.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+    channel: model.vendor,
+    channelName: CHANNEL_NAMES[model.vendor],
+    companyIds: model.companyId !== undefined ? [model.companyId] : undefined,
+    namePattern: model.namePattern,
+    decode(input) {
+        if (input.data.length !== model.length) return null;
+        const values = model.parse(input.data, input.manufacturerData);
+        return values ? { values } : null;
+    },
+}));
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Xiaomi MiBeacon decoder (0xFE95). Encrypted v4/v5 frames use the bind key
+ * of the allowlist entry.
+ */
+
+const { parseMiBeacon, MIBEACON_SERVICE_UUID } = require('../mibeaconParser');
+
+module.exports = {
+    name: 'mibeacon',
+    channel: 'mibeacon',
+    channelName: 'Xiaomi MiBeacon data',
+    format: 'MiBeacon',
+    serviceUuids: [MIBEACON_SERVICE_UUID],
+    decode(input) {
+        const parsed = parseMiBeacon(input.data, { mac: input.mac, bindKey: input.settings.bindKey });
+        if (!parsed) return null;
+
+        // The frame counter stays the same while a frame is repeated
+        return {
+            encrypted: parsed.encrypted,
+            error: parsed.error,
+            packetId: parsed.counter,
+            values: parsed.values,
+        };
+    },
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * SwitchBot decoder (service data 0xFD3D / 0x0D00): meters, contact and
+ * motion sensors, Bot and Curtain. Bot and Curtain also get control states,
+ * which main.js turns into GATT commands (see lib/switchbot.js).
+ */
+
+const { parseSwitchBot, SWITCHBOT_SERVICE_UUIDS } = require('../switchbot');
+
+/** Control states per command */
+const CONTROLS = {
+    press: { name: 'press', type: 'boolean', role: 'button' },
+    on: { name: 'turnOn', type: 'boolean', role: 'button.on' },
+    off: { name: 'turnOff', type: 'boolean', role: 'button.off' },
+    open: { name: 'open', type: 'boolean', role: 'button.open.blind' },
+    close: { name: 'close', type: 'boolean', role: 'button.close.blind' },
+    stop: { name: 'stop', type: 'boolean', role: 'button.stop.blind' },
+    position: { name: 'setPosition', type: 'number', role: 'level.blind', unit: '%', min: 0, max: 100 },
+};
+
+module.exports = {
+    name: 'switchbot',
+    channel: 'switchbot',
+    channelName: 'SwitchBot data',
+    serviceUuids: SWITCHBOT_SERVICE_UUIDS,
+    decode(input) {
+        const parsed = parseSwitchBot(input.data, input.manufacturerData);
+        if (!parsed) return null;
+
+        return {
+            values: [{ name: 'model', value: parsed.model, role: 'text' }, ...parsed.values],
+            controls: parsed.controls.map(command => ({ ...CONTROLS[command], command })),
+        };
+    },
+};
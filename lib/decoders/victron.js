@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Victron Instant Readout decoder (0x02E1): solar chargers, battery monitors,
+ * inverters and DC-DC converters. The advertisement key from VictronConnect
+ * goes into the bind key column of the allowlist.
+ */
+
+const { parseVictron, VICTRON_COMPANY_ID } = require('../victronParser');
+
+module.exports = {
+    name: 'victron',
+    channel: 'victron',
+    channelName: 'Victron Instant Readout data',
+    format: 'Victron',
+    companyIds: [VICTRON_COMPANY_ID],
+    decode(input) {
+        const parsed = parseVictron(input.data, { key: input.settings.bindKey });
+        if (!parsed) return null;
+
+        // The nonce only changes with new data, so it identifies repeated frames
+        return {
+            encrypted: true,
+            error: parsed.error,
+            packetId: parsed.counter & 0xFF,
+            values: parsed.error ? [] : [
+                { name: 'product_id', value: `0x${parsed.productId.toString(16).padStart(4, '0')}`, role: 'text' },
+                ...parsed.values,
+            ],
+        };
+    },
+};
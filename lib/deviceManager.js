@@ -23,6 +23,9 @@
  *       icon              (string – BlueZ icon)
  *       class             (number – BT Class of Device)
  *       battery           (number – %)
+ *       gattQueue         (number – pending GATT operations, connected devices)
+ *       lastSession       (string – ISO date, session mode, see gattSession.js)
+ *       nextSession       (string – ISO date, session mode)
  *     actions/
  *       connect           (button)
  *       disconnect        (button)
@@ -62,21 +65,104 @@
  *       temperature       (number – °C)
  *       humidity          (number – %)
  *       …                 (dynamic, based on BTHome data)
- *     services/
- *       <serviceUUID>/
- *         <charUUID>      (state – read/write depending on properties)
+ *       button[_N]        (string – button event, written on every press)
+ *       dimmer[_N]        (string – rotate_left/rotate_right) + dimmer[_N]_steps
+ *       packetsReceived   (number – unique packets)
+ *       packetsDuplicate  (number – repeated packets dropped)
+ *       packetsLost       (number – gaps in the packet id sequence)
+ *       decryptionFailed  (indicator – encrypted devices only)
+ *       decryptionError   (string – reason, empty when OK)
+ *     beacon/             (iBeacon / Eddystone)
+ *       id                (string – ibeacon:<uuid>:<major>:<minor> or eddystone:<namespace>:<instance>)
+ *       uuid, major, minor, measured_power            (iBeacon)
+ *       namespace, instance, url, eid, tx_power       (Eddystone UID/URL/EID)
+ *       voltage, temperature, adv_count, uptime       (Eddystone TLM)
+ *     apple/              (Apple Continuity)
+ *       device_type       (string – headphones/watch/ios/airplay/homekit/findmy)
+ *       activity          (string – nearby info, e.g. screen_on)
+ *       model, battery_left/right/case, charging_left/right/case, in_ear_left/right  (AirPods/Beats)
+ *     victron/            (Victron Instant Readout – solar charger, battery monitor, inverter, DC-DC)
+ *       device_state, error, error_text, alarm, alarm_text, battery_voltage, battery_current,
+ *       yield_today, pv_power, voltage, current, soc, consumed_ah, time_to_go, …
+ *     switchbot/          (SwitchBot meter, contact, motion, Bot, Curtain)
+ *       model, battery, temperature, humidity, open, motion, on, position, …
+ *       press, turnOn, turnOff (button – Bot), open, close, stop (button), setPosition (level.blind – Curtain)
+ *     <decoder channel>/  (mibeacon, govee, inkbird, ruuvi, … – same layout as bthome,
+ *                          created from the advertisement decoder output)
+ *     services/           (channel – native.gattCache: discovered layout, see buildCharacteristicTree())
+ *       <serviceUUID>/    (channel – named after the SIG service)
+ *         <charUUID>      (state – read/write depending on properties; typed by its codec,
+ *                          the SIG definition or the 0x2904 presentation format,
+ *                          named by its User Description (0x2901) or the SIG name)
  *         <charUUID>.read (button – trigger on-demand read)
+ *         <charUUID>.<descUUID> (string – descriptor value; hex, text for 0x2901)
+ *     sensors/            (device definition, see gattDefinitions.js – named read-only states)
+ *     controls/           (device definition – named writable states)
  */
+const {
+    getCharacteristicSpec,
+    parsePresentationFormat,
+    shortUuid,
+    decodeValue,
+    encodeValue,
+} = require('./gattCharacteristics');
+const { lookupService, lookupCharacteristic, lookupDescriptor } = require('./bluetoothNumbers');
+const { createCodec, findCodecConfig } = require('./characteristicCodecs');
+const GattQueue = require('./gattQueue');
+const NotificationFilter = require('./notificationFilter');
+const GattDefinitionRegistry = require('./gattDefinitions');
+const { PRIORITY } = GattQueue;
+
+/** Service Changed characteristic – fallback trigger when BlueZ exports it */
+const SERVICE_CHANGED_UUID = '2a05';
+/** Quiet time after the last GATT database change before discovering again (ms) */
+const SERVICE_CHANGED_DELAY = 2000;
+/** Default time a transaction waits for its response (ms) */
+const TRANSACTION_TIMEOUT = 5000;
+
 class DeviceManager {
 
     /**
      * @param {object} opts
      * @param {import('@iobroker/adapter-core').AdapterInstance} opts.adapter
      * @param {import('./bluezManager')} opts.bluezManager
+     * @param {Array<object>} [opts.codecs] – "GATT codecs" admin table rows
+     * @param {Array<object>} [opts.notificationFilters] – "Notification filters" admin table rows
+     * @param {GattDefinitionRegistry} [opts.definitions] – device definitions (sensors/controls channels)
+     * @param {number} [opts.gattTimeout] – per-operation GATT timeout (ms)
+     * @param {number} [opts.gattRetries] – retries for transient GATT errors
+     * @param {Map<string, object>} [opts.deviceSettings] – allowlist entries by device id
+     *        (pollInterval, pollCharacteristics)
      */
     constructor(opts) {
         this.adapter = opts.adapter;
         this.bluez = opts.bluezManager;
+        /** @type {Array<object>} */
+        this.codecs = opts.codecs || [];
+        /** @type {Array<object>} */
+        this.notificationFilters = opts.notificationFilters || [];
+        /** @type {GattDefinitionRegistry|null} */
+        this.definitions = opts.definitions || null;
+        /** @type {Map<string, object>} */
+        this.deviceSettings = opts.deviceSettings || new Map();
+
+        /**
+         * All GATT operations go through this per-device queue.
+         * @type {GattQueue}
+         */
+        this.gatt = new GattQueue({
+            bluez: this.bluez,
+            log: this.adapter.log,
+            timeout: opts.gattTimeout,
+            retries: opts.gattRetries,
+        });
+        this.gatt.on('depth', (devicePath, depth) => this._onQueueDepth(devicePath, depth));
+
+        /**
+         * Devices with an info.gattQueue state.
+         * @type {Set<string>}
+         */
+        this._queueStates = new Set();
 
         /**
          * Runtime bookkeeping per device.
@@ -85,10 +171,22 @@ class DeviceManager {
         this.devices = new Map();
 
         /**
-         * Track which BTHome object IDs have been created for each MAC.
+         * Track which sensor states have been created, per channel id.
          * @type {Map<string, Set<string>>}
          */
-        this._bthomeCreated = new Map();
+        this._sensorCreated = new Map();
+
+        /**
+         * Last decryption status per sensor channel id ('ok' | error code).
+         * @type {Map<string, string>}
+         */
+        this._sensorDecryption = new Map();
+
+        /**
+         * Last event per event state id, per MAC (for hold → release).
+         * @type {Map<string, Map<string, string>>}
+         */
+        this._sensorLastEvent = new Map();
     }
 
     // ── Public API ───────────────────────────────────────────────────
@@ -661,40 +759,57 @@ class DeviceManager {
     }
 
     /**
-     * Ensure the BTHome object tree exists and update values for BTHome v2 data.
+     * Ensure the sensor object tree exists and update values decoded from
+     * advertisements (see lib/decoderRegistry.js).
      *
-     * Creates a `bthome` channel under the device with states for each parsed
-     * BTHome measurement. Handles duplicate object names (e.g. two temperature
-     * sensors) by appending a numeric suffix.
+     * Creates a channel (e.g. `bthome`) under the device with one state per
+     * measurement. Handles duplicate names (e.g. two temperature sensors) by
+     * appending a numeric suffix.
      *
      * @param {string} mac – normalised MAC (AA-BB-CC-DD-EE-FF)
-     * @param {Array<{objectId: number, name: string, value: number, unit: string, role: string}>} parsedValues
+     * @param {string} channel – channel id, e.g. 'bthome'
+     * @param {Array<{name: string, value: number|boolean|string, unit: string, role: string, type: string,
+     *         objectId?: number, event?: boolean, steps?: number}>} values – normalised measurements
+     * @param {string} [channelName] – display name of the channel
      */
-    async ensureBTHomeObjects(mac, parsedValues) {
-        if (!parsedValues || parsedValues.length === 0) return;
+    async ensureSensorObjects(mac, channel, values, channelName = channel) {
+        if (!values || values.length === 0) return;
 
         const devId = this._macToId(mac);
-        const channelId = `${devId}.bthome`;
+        const channelId = `${devId}.${channel}`;
 
-        // Ensure bthome channel exists
+        // Ensure the sensor channel exists
         await this._ensureObject(channelId, {
             type: 'channel',
-            common: { name: 'BTHome v2 data' },
+            common: { name: channelName },
             native: {},
         });
 
-        // Track created state names per device to avoid duplicates
-        if (!this._bthomeCreated.has(mac)) {
-            this._bthomeCreated.set(mac, new Set());
+        // Track created state names per channel to avoid duplicates
+        if (!this._sensorCreated.has(channelId)) {
+            this._sensorCreated.set(channelId, new Set());
         }
-        const created = this._bthomeCreated.get(mac);
+        const created = this._sensorCreated.get(channelId);
 
         // Count name occurrences to handle duplicates (e.g. two temperature objects)
         const nameCounts = new Map();
 
-        for (const entry of parsedValues) {
-            // Skip packet_id – it's metadata, not a measurement
-            if (entry.name === 'packet_id') continue;
+        // Events are indexed per button/dimmer on multi-button devices
+        // (button_1 … button_4 on a Shelly BLU Remote), so count them first
+        const eventTotals = new Map();
+        for (const entry of values) {
+            if (entry.event) eventTotals.set(entry.name, (eventTotals.get(entry.name) || 0) + 1);
+        }
+        const eventCounts = new Map();
+
+        for (const entry of values) {
+            if (entry.event) {
+                const index = (eventCounts.get(entry.name) || 0) + 1;
+                eventCounts.set(entry.name, index);
+                const stateName = eventTotals.get(entry.name) > 1 ? `${entry.name}_${index}` : entry.name;
+                await this._updateSensorEvent(mac, `${channelId}.${stateName}`, entry, created);
+                continue;
+            }
 
             // Deduplicate names: first occurrence = name, second = name_2, etc.
             const count = (nameCounts.get(entry.name) || 0) + 1;
@@ -703,128 +818,397 @@ class DeviceManager {
 
             const stateId = `${channelId}.${stateName}`;
 
-            // Determine ioBroker type from value/role
-            const isBool = ['switch', 'sensor.door', 'sensor.motion', 'sensor.window', 'indicator.lowbat'].includes(entry.role);
-            const stateType = isBool ? 'boolean' : 'number';
-            const stateValue = isBool ? !!entry.value : entry.value;
-
             // Create the state if not yet created
             if (!created.has(stateName)) {
                 await this._ensureState(stateId, {
-                    name: this._bthomeDisplayName(entry.name),
-                    type: stateType,
+                    name: this._sensorDisplayName(entry.name),
+                    type: entry.type,
                     role: entry.role,
                     unit: entry.unit || '',
                     read: true,
                     write: false,
-                }, stateValue);
+                }, entry.value);
 
                 // Store native metadata
                 await this.adapter.extendObjectAsync(stateId, {
-                    native: { bthome: true, objectId: entry.objectId },
+                    native: { [channel]: true, objectId: entry.objectId },
                 });
 
                 created.add(stateName);
             }
 
             // Always update the value
-            await this.adapter.setStateAsync(stateId, { val: stateValue, ack: true });
+            await this.adapter.setStateAsync(stateId, { val: entry.value, ack: true });
+        }
+    }
+
+    /**
+     * Ensure the writable control states of a decoder channel exist (e.g.
+     * `switchbot.press`). Writes are recognised by `native.control` and
+     * handled in main.js.
+     *
+     * @param {string} mac – normalised MAC (AA-BB-CC-DD-EE-FF)
+     * @param {string} channel – channel id, e.g. 'switchbot'
+     * @param {Array<{name: string, command: string, type: string, role: string, unit?: string,
+     *         min?: number, max?: number}>} controls
+     */
+    async ensureControlObjects(mac, channel, controls) {
+        if (!controls || controls.length === 0) return;
+
+        const devId = this._macToId(mac);
+        const channelId = `${devId}.${channel}`;
+        if (!this._sensorCreated.has(channelId)) {
+            this._sensorCreated.set(channelId, new Set());
+        }
+        const created = this._sensorCreated.get(channelId);
+
+        for (const control of controls) {
+            if (created.has(control.name)) continue;
+
+            const common = {
+                name: this._sensorDisplayName(control.name),
+                type: control.type,
+                role: control.role,
+                read: control.type !== 'boolean',
+                write: true,
+            };
+            if (control.unit) common.unit = control.unit;
+            if (control.min !== undefined) common.min = control.min;
+            if (control.max !== undefined) common.max = control.max;
+
+            await this.adapter.setObjectNotExistsAsync(`${channelId}.${control.name}`, {
+                type: 'state',
+                common,
+                native: { [channel]: true, control: control.command },
+            });
+            created.add(control.name);
+        }
+    }
+
+    /**
+     * Update the packet counters of a sensor channel.
+     *
+     * @param {string} mac – normalised MAC (AA-BB-CC-DD-EE-FF)
+     * @param {string} channel – channel id, e.g. 'bthome'
+     * @param {{received: number, duplicate: number, lost: number}} stats
+     */
+    async updatePacketStats(mac, channel, stats) {
+        const devId = this._macToId(mac);
+        const channelId = `${devId}.${channel}`;
+
+        const counters = {
+            packetsReceived: 'Packets received',
+            packetsDuplicate: 'Duplicate packets dropped',
+            packetsLost: 'Packets lost',
+        };
+        const values = {
+            packetsReceived: stats.received,
+            packetsDuplicate: stats.duplicate,
+            packetsLost: stats.lost,
+        };
+
+        for (const [id, name] of Object.entries(counters)) {
+            await this._ensureState(`${channelId}.${id}`, {
+                name,
+                type: 'number',
+                role: 'value',
+                read: true,
+                write: false,
+            });
+            await this.adapter.setStateChangedAsync(`${channelId}.${id}`, { val: values[id], ack: true });
+        }
+    }
+
+    /**
+     * Write a button/dimmer event.
+     *
+     * Event states are written on every received event – also when the same
+     * event repeats – so scripts subscribed with `change: 'any'` fire for every
+     * press. 'none' is not written, except that a 'none' following a
+     * 'hold_press' is reported as 'release'.
+     *
+     * Dimmer events additionally write the rotation steps to `<state>_steps`.
+     *
+     * @param {string} mac
+     * @param {string} stateId – e.g. AA-BB-CC-DD-EE-FF.bthome.button_2
+     * @param {{objectId: number, name: string, value: string, steps?: number}} entry
+     * @param {Set<string>} created – created state names of this channel
+     */
+    async _updateSensorEvent(mac, stateId, entry, created) {
+        if (!this._sensorLastEvent.has(mac)) {
+            this._sensorLastEvent.set(mac, new Map());
+        }
+        const lastEvents = this._sensorLastEvent.get(mac);
+        const previous = lastEvents.get(stateId);
+        lastEvents.set(stateId, entry.value);
+
+        let event = entry.value;
+        if (event === 'none') {
+            if (previous !== 'hold_press') return;
+            event = 'release';
+        }
+
+        const [, channel, stateName] = stateId.split('.');
+        const isDimmer = entry.name === 'dimmer';
+
+        if (!created.has(stateName)) {
+            const events = isDimmer
+                ? { rotate_left: 'Rotate left', rotate_right: 'Rotate right' }
+                : {
+                    press: 'Press',
+                    double_press: 'Double press',
+                    triple_press: 'Triple press',
+                    long_press: 'Long press',
+                    long_double_press: 'Long double press',
+                    long_triple_press: 'Long triple press',
+                    hold_press: 'Hold',
+                    release: 'Release',
+                };
+            const index = stateName.includes('_') ? ` ${stateName.split('_').pop()}` : '';
+
+            await this._ensureState(stateId, {
+                name: `${this._sensorDisplayName(entry.name)}${index} event`,
+                type: 'string',
+                role: 'state',
+                read: true,
+                write: false,
+                states: events,
+            });
+            await this.adapter.extendObjectAsync(stateId, {
+                native: { [channel]: true, objectId: entry.objectId, event: true },
+            });
+
+            if (isDimmer) {
+                await this._ensureState(`${stateId}_steps`, {
+                    name: `${this._sensorDisplayName(entry.name)}${index} steps`,
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false,
+                });
+            }
+
+            created.add(stateName);
+        }
+
+        if (isDimmer) {
+            await this.adapter.setStateAsync(`${stateId}_steps`, { val: entry.steps ?? 0, ack: true });
+        }
+        await this.adapter.setStateAsync(stateId, { val: event, ack: true });
+    }
+
+    /**
+     * Reflect the decryption result of an encrypted frame in the sensor
+     * channel, so a wrong or missing bind key is visible on the device.
+     *
+     * States are only written when the status changes.
+     *
+     * @param {string} mac – normalised MAC (AA-BB-CC-DD-EE-FF)
+     * @param {string} channel – channel id, e.g. 'bthome'
+     * @param {string|null} error – null on success, 'missingKey', 'decryptFailed' or 'unsupportedEncryption'
+     * @param {string} [format] – format name used in messages, e.g. 'BTHome'
+     */
+    async setDecryptionState(mac, channel, error, format = channel) {
+        const devId = this._macToId(mac);
+        const channelId = `${devId}.${channel}`;
+        const status = error || 'ok';
+
+        if (this._sensorDecryption.get(channelId) === status) return;
+        const firstTime = !this._sensorDecryption.has(channelId);
+        this._sensorDecryption.set(channelId, status);
+
+        const messages = {
+            ok: '',
+            missingKey: `Encrypted ${format} data received but no valid bind key is configured`,
+            decryptFailed: `${format} decryption failed – wrong bind key?`,
+            unsupportedEncryption: `${format} uses an unsupported (legacy) encryption`,
+        };
+        const message = status in messages ? messages[status] : status;
+
+        if (firstTime) {
+            await this._ensureObject(channelId, {
+                type: 'channel',
+                common: { name: `${format} data` },
+                native: {},
+            });
+            await this._ensureState(`${channelId}.decryptionFailed`, {
+                name: 'Decryption failed',
+                type: 'boolean',
+                role: 'indicator.problem',
+                read: true,
+                write: false,
+            });
+            await this._ensureState(`${channelId}.decryptionError`, {
+                name: 'Decryption error',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+            });
+        }
+
+        if (error) {
+            this.adapter.log.warn(`${devId}: ${message}`);
+        } else if (!firstTime) {
+            this.adapter.log.info(`${devId}: ${format} decryption successful`);
         }
+
+        await this.adapter.setStateAsync(`${channelId}.decryptionFailed`, { val: !!error, ack: true });
+        await this.adapter.setStateAsync(`${channelId}.decryptionError`, { val: message, ack: true });
     }
 
     /**
      * After a successful GATT discovery via BlueZ, create states for every
      * characteristic and optionally subscribe to notifications.
      *
+     * The discovered layout is cached in the native section of the device's
+     * `services` channel together with the descriptor values that name and
+     * type the characteristics (0x2901, 0x2904). While the layout stays the
+     * same, a reconnect neither touches the objects nor reads descriptors
+     * or static characteristics again. A changed layout is diffed against
+     * the cache: new objects are created, vanished ones deleted.
+     *
+     * A matching device definition (see lib/gattDefinitions.js) runs its
+     * init sequence first and gets `sensors`/`controls` states fed from the
+     * same reads and notifications. Definitions without the raw tree only
+     * touch the characteristics they use.
+     *
      * @param {string} mac
      * @param {Array<{uuid: string, path: string, primary: boolean,
-     *         characteristics: Array<{uuid: string, path: string, flags: string[]}>}>} servicesInfo
+     *         characteristics: Array<{uuid: string, path: string, flags: string[],
+     *         descriptors?: Array<{uuid: string, path: string, flags: string[]}>}>}>} servicesInfo
+     * @param {object} [opts]
+     * @param {(uuid: string) => boolean} [opts.read] – which readable characteristics to read initially (default all)
+     * @param {boolean} [opts.subscribe=true] – subscribe to notifications
+     * @param {boolean} [opts.poll=true]      – start the poll timers
      */
-    async buildCharacteristicTree(mac, servicesInfo) {
+    async buildCharacteristicTree(mac, servicesInfo, opts = {}) {
+        const { read = () => true, subscribe = true, poll = true } = opts;
         const devId = this._macToId(mac);
         let ctx = this.devices.get(mac);
         if (!ctx) {
-            ctx = { charPaths: new Map(), pollTimer: null, subscriptions: [] };
+            ctx = {
+                charPaths: new Map(), charSpecs: new Map(), polls: new Map(), filters: new Map(),
+                connected: false, subscriptions: [],
+            };
             this.devices.set(mac, ctx);
         }
+        ctx.connected = true;
+        ctx.buildOpts = opts;
 
         if (!servicesInfo || servicesInfo.length === 0) return;
 
-        // Create services channel only when we have actual data
-        await this._ensureObject(`${devId}.services`, {
-            type: 'channel',
-            common: { name: 'GATT Services' },
-            native: {},
-        });
+        this.stopPolling(mac);
+        ctx.polls.clear();
+        ctx.charPaths.clear();
+        ctx.charSpecs.clear();
+        this._flushFilters(ctx);
+        ctx.definitionEntries = new Map();
+        ctx.services = servicesInfo;
+
+        await this._ensureState(`${devId}.info.gattQueue`, {
+            name: 'Pending GATT operations',
+            type: 'number',
+            role: 'value',
+            read: true,
+            write: false,
+        }, 0);
+        this._queueStates.add(devId);
+
+        const definition = this._matchDefinition(mac, servicesInfo);
+        const raw = !definition || definition.rawTree;
+        ctx.rawTree = raw;
+        ctx.definition = definition;
+        if (definition) {
+            await this._runDefinitionInit(devId, definition, servicesInfo);
+            await this._createDefinitionObjects(devId, definition, servicesInfo, ctx);
+        }
 
-        for (const svc of servicesInfo) {
-            const svcUuid = svc.uuid.toLowerCase().replace(/-/g, '');
-            // Use short UUID if it's a standard 128-bit UUID
-            const svcShort = svcUuid.length === 32
-                ? svcUuid.slice(4, 8)
-                : svcUuid;
-            const svcId = `${devId}.services.${svcShort}`;
-
-            await this._ensureObject(svcId, {
+        const layout = this._gattLayout(servicesInfo);
+        const cache = await this._readGattCache(devId);
+        const unchanged = !!cache && JSON.stringify(cache.layout) === JSON.stringify(layout);
+        /** @type {Record<string, Record<string, string>>} characteristic state id → descriptor id → hex */
+        const cachedValues = unchanged ? cache.descriptorValues || {} : {};
+        const descriptorValues = {};
+
+        if (unchanged) {
+            this.adapter.log.debug(`${devId}: GATT layout unchanged, using cache`);
+        } else if (raw) {
+            // Create services channel only when we have actual data
+            await this._ensureObject(`${devId}.services`, {
                 type: 'channel',
-                common: { name: `Service ${svcShort}` },
-                native: { uuid: svc.uuid, path: svc.path },
+                common: { name: 'GATT Services' },
+                native: {},
             });
+        }
+
+        for (const svc of servicesInfo) {
+            const svcId = `${devId}.services.${this._gattId(svc.uuid)}`;
+
+            if (!unchanged && raw) {
+                const svcName = lookupService(svc.uuid) || `Service ${this._gattId(svc.uuid)}`;
+                await this._ensureObject(svcId, {
+                    type: 'channel',
+                    common: { name: svcName },
+                    native: { uuid: svc.uuid, path: svc.path },
+                });
+                await this.adapter.extendObjectAsync(svcId, { common: { name: svcName }, native: { path: svc.path } });
+            }
 
             for (const ch of svc.characteristics) {
                 const flags = ch.flags || [];
                 const canRead = flags.includes('read');
-                const canWrite = flags.includes('write') || flags.includes('write-without-response');
                 const canNotify = flags.includes('notify') || flags.includes('indicate');
-                const withoutResponse = flags.includes('write-without-response') && !flags.includes('write');
 
-                const charUuid = ch.uuid.toLowerCase().replace(/-/g, '');
-                const charShort = charUuid.length === 32
-                    ? charUuid.slice(4, 8)
-                    : charUuid;
+                const charShort = this._gattId(ch.uuid);
                 const charStateId = `${svcId}.${charShort}`;
+                // Without the raw tree only what the definition uses (and Service Changed)
+                if (!raw && !ctx.definitionEntries.has(charStateId) && charShort !== SERVICE_CHANGED_UUID) continue;
+
+                const existing = raw ? await this.adapter.getObjectAsync(charStateId) : null;
+                let descValues;
+                if (unchanged) {
+                    descValues = new Map(Object.entries(cachedValues[charStateId] || {})
+                        .map(([descId, hex]) => [descId, Buffer.from(hex, 'hex')]));
+                } else if (raw) {
+                    descValues = await this._readDescriptors(mac, ch);
+                } else {
+                    descValues = new Map();
+                }
+                const codec = this._characteristicCodec(mac, existing?.native, ch);
+                const spec = codec || getCharacteristicSpec(ch.uuid) || parsePresentationFormat(descValues.get('2904'));
 
-                // Determine role
-                let role = 'state';
-                if (canRead && canWrite) role = 'level';
-                else if (canWrite) role = 'level';
-                else if (canRead) role = 'value';
-
-                await this._ensureState(charStateId, {
-                    name: `Characteristic ${charShort}`,
-                    type: 'string',
-                    role,
-                    read: canRead,
-                    write: canWrite,
-                }, '');
-
-                // Store native metadata so onStateChange knows what to do
-                await this.adapter.extendObjectAsync(
-                    charStateId,
-                    { native: { uuid: ch.uuid, serviceUuid: svc.uuid, mac, properties: flags, withoutResponse, charPath: ch.path } }
-                );
+                // Only what names and types the characteristic is worth caching
+                const cachedDesc = {};
+                for (const descId of ['2901', '2904']) {
+                    if (descValues.has(descId)) cachedDesc[descId] = descValues.get(descId).toString('hex');
+                }
+                if (Object.keys(cachedDesc).length > 0) descriptorValues[charStateId] = cachedDesc;
+
+                const obj = this._characteristicObject(mac, svc, ch, spec, descValues);
+                if (!raw) {
+                    // Values only feed the definition states
+                } else if (!unchanged || !existing) {
+                    await this._createCharacteristicObjects(mac, ch, charStateId, obj, spec, descValues);
+                } else if (this._objectDiffers(existing, obj)) {
+                    // E.g. a codec was configured since the last connection
+                    await this.adapter.extendObjectAsync(charStateId, obj);
+                }
 
                 // Keep a runtime reference to the D-Bus characteristic path
                 ctx.charPaths.set(charStateId, ch.path);
+                if (spec) ctx.charSpecs.set(charStateId, spec);
+                if (canRead) ctx.charPaths.set(`${charStateId}.read`, ch.path);
 
-                // On-demand read button
-                if (canRead) {
-                    const readBtnId = `${charStateId}.read`;
-                    await this._ensureState(readBtnId, {
-                        name: `Read ${charShort}`,
-                        type: 'boolean',
-                        role: 'button',
-                        read: false,
-                        write: true,
-                        def: false,
-                    }, false);
-                    ctx.charPaths.set(readBtnId, ch.path);
+                const pollInterval = canRead ? this._pollInterval(devId, ch.uuid, existing?.native) : 0;
+                if (pollInterval > 0) {
+                    ctx.polls.set(charStateId, { charPath: ch.path, intervalMs: pollInterval * 1000, timer: null });
                 }
 
-                // Initial read
-                if (canRead) {
+                // Initial read – static values are still valid from the last connection
+                if (canRead && read(ch.uuid) && !(unchanged && spec?.static)) {
                     try {
-                        const data = await this.bluez.readCharacteristic(ch.path);
+                        const data = await this.gatt.readCharacteristic(ch.path);
                         await this._setCharacteristicValue(charStateId, data);
                     } catch (e) {
                         this.adapter.log.warn(`${mac} initial read of ${charShort} failed: ${e.message}`);
@@ -832,10 +1216,19 @@ class DeviceManager {
                 }
 
                 // Subscribe to notifications
-                if (canNotify) {
+                const filter = canNotify && raw ? this._notificationFilterConfig(mac, ch, existing?.native) : null;
+                if (filter) {
+                    ctx.filters.set(charStateId, new NotificationFilter(filter, val => {
+                        this.adapter.setStateAsync(charStateId, { val, ack: true })
+                            .catch(e => this.adapter.log.debug(`${charStateId}: ${e.message}`));
+                    }));
+                }
+                if (canNotify && subscribe) {
+                    const serviceChanged = charShort === SERVICE_CHANGED_UUID;
                     try {
-                        await this.bluez.startNotify(ch.path, async (data) => {
-                            await this._setCharacteristicValue(charStateId, data);
+                        await this.gatt.startNotify(ch.path, async (data) => {
+                            await this._onNotification(mac, charStateId, data);
+                            if (serviceChanged) this.rediscover(mac);
                         });
                         ctx.subscriptions.push(ch.path);
                         this.adapter.log.debug(`${mac}: subscribed to ${charShort}`);
@@ -845,6 +1238,110 @@ class DeviceManager {
                 }
             }
         }
+
+        if (!unchanged && raw) {
+            if (cache) await this._removeVanishedObjects(devId, cache.layout, layout);
+            await this._writeGattCache(devId, layout, descriptorValues);
+        }
+
+        if (poll) this.startPolling(mac);
+    }
+
+    /**
+     * common and native of a characteristic state.
+     *
+     * @param {string} mac
+     * @param {{uuid: string}} svc
+     * @param {{uuid: string, path: string, flags: string[]}} ch
+     * @param {object|null} spec
+     * @param {Map<string, Buffer>} descValues
+     * @returns {{common: object, native: object}}
+     */
+    _characteristicObject(mac, svc, ch, spec, descValues) {
+        const flags = ch.flags || [];
+        const canRead = flags.includes('read');
+        const canWrite = flags.includes('write') || flags.includes('write-without-response');
+        const withoutResponse = flags.includes('write-without-response') && !flags.includes('write');
+        const charShort = this._gattId(ch.uuid);
+
+        // Determine role
+        let role = 'state';
+        if (canRead && canWrite) role = 'level';
+        else if (canWrite) role = 'level';
+        else if (canRead) role = 'value';
+
+        const userDescription = descValues.has('2901')
+            ? descValues.get('2901').toString('utf8').replace(/\0+$/, '').trim()
+            : '';
+
+        // Writable characteristics keep the level role so UIs offer an input
+        const common = {
+            name: userDescription || lookupCharacteristic(ch.uuid) || spec?.name || `Characteristic ${charShort}`,
+            type: spec ? spec.type : 'string',
+            unit: spec?.unit || '',
+            role: spec && !canWrite ? spec.role : role,
+            read: canRead,
+            write: canWrite,
+        };
+        // Store native metadata so onStateChange knows what to do
+        const native = {
+            uuid: ch.uuid, serviceUuid: svc.uuid, mac, properties: flags, withoutResponse, charPath: ch.path,
+            sig: spec?.sig || null,
+            presentation: spec && !spec.sig && !spec.codec
+                ? { type: spec.type, format: spec.format, exponent: spec.exponent }
+                : null,
+        };
+        return { common, native };
+    }
+
+    /**
+     * Whether an existing object lacks or differs in any of the given common/native keys.
+     *
+     * @param {object} existing
+     * @param {{common: object, native: object}} obj
+     * @returns {boolean}
+     */
+    _objectDiffers(existing, obj) {
+        return Object.entries(obj.common).some(([key, val]) => existing.common?.[key] !== val)
+            || Object.entries(obj.native).some(([key, val]) => JSON.stringify(existing.native?.[key]) !== JSON.stringify(val));
+    }
+
+    /**
+     * Create or update the state objects of one characteristic: value state,
+     * read button and descriptor states.
+     *
+     * @param {string} mac
+     * @param {{uuid: string, path: string, flags: string[], descriptors?: Array<object>}} ch
+     * @param {string} charStateId
+     * @param {{common: object, native: object}} obj – from _characteristicObject()
+     * @param {object|null} spec
+     * @param {Map<string, Buffer>} descValues
+     */
+    async _createCharacteristicObjects(mac, ch, charStateId, obj, spec, descValues) {
+        const charShort = this._gattId(ch.uuid);
+
+        await this._ensureState(charStateId, {
+            name: `Characteristic ${charShort}`,
+            type: 'string',
+            role: obj.common.role,
+            read: obj.common.read,
+            write: obj.common.write,
+        }, spec ? undefined : '');
+        await this.adapter.extendObjectAsync(charStateId, obj);
+
+        await this._buildDescriptorStates(mac, charStateId, ch, descValues);
+
+        // On-demand read button
+        if (obj.common.read) {
+            await this._ensureState(`${charStateId}.read`, {
+                name: `Read ${charShort}`,
+                type: 'boolean',
+                role: 'button',
+                read: false,
+                write: true,
+                def: false,
+            }, false);
+        }
     }
 
     /**
@@ -858,13 +1355,195 @@ class DeviceManager {
         const charPath = native.charPath;
         if (!charPath) throw new Error(`No charPath in native for ${stateId}`);
 
-        const buffer = this._valueToBuffer(value);
+        const spec = this.devices.get(this._idToMac(stateId))?.charSpecs?.get(stateId) || this._specFromNative(native);
+        const buffer = (spec && encodeValue(spec, value)) || this._valueToBuffer(value);
         const withoutResponse = !!native.withoutResponse;
 
         const options = withoutResponse ? { type: 'command' } : {};
 
         this.adapter.log.debug(`Writing ${buffer.toString('hex')} to ${native.uuid} (withoutResponse=${withoutResponse})`);
-        await this.bluez.writeCharacteristic(charPath, buffer, options);
+        await this.gatt.writeCharacteristic(charPath, buffer, options);
+    }
+
+    /**
+     * Write a `controls.*` state of a device definition: encode with the
+     * control's codec or write converter, then read the characteristic back
+     * (updates every definition state fed by it) or acknowledge the value.
+     *
+     * @param {string} stateId – e.g. AA-BB-CC-DD-EE-FF.controls.power
+     * @param {any} value
+     * @param {object} native – native section of the control state
+     */
+    async writeDefinitionControl(stateId, value, native) {
+        const entry = this.definitions?.get(native.definition)?.entries.find(e => e.writable && e.id === native.entry);
+        if (!entry) throw new Error(`control ${native.entry} of device definition ${native.definition} not found`);
+
+        const buffer = GattDefinitionRegistry.encode(entry, value);
+        const options = native.withoutResponse ? { type: 'command' } : {};
+        this.adapter.log.debug(`Writing ${buffer.toString('hex')} to ${native.uuid} for ${stateId}`);
+        await this.gatt.writeCharacteristic(native.charPath, buffer, options);
+
+        const ctx = this.devices.get(this._idToMac(stateId));
+        if (native.readable && (entry.codec || entry.decodeFn) && ctx?.definitionEntries?.has(native.charStateId)) {
+            const data = await this.gatt.readCharacteristic(native.charPath, { priority: PRIORITY.USER });
+            await this._setCharacteristicValue(native.charStateId, data);
+        } else {
+            await this.adapter.setStateAsync(stateId, { val: value, ack: true });
+        }
+    }
+
+    /**
+     * Request/response transaction: write a command and wait for the response
+     * notification. The exchange is one operation in the device's GATT queue,
+     * so no other read or write gets in between. The response also updates
+     * the characteristic's states as usual, where the tree has created any.
+     *
+     * @param {string} mac
+     * @param {object} request
+     * @param {string} request.write – UUID of the characteristic the command is written to
+     * @param {Buffer} request.value – command
+     * @param {string} [request.response] – UUID of the notifying response characteristic (default: request.write)
+     * @param {string} [request.service] – service UUID, if the characteristic UUIDs are not unique
+     * @param {(buf: Buffer) => boolean} [request.match] – accept only matching notifications (default: the next one)
+     * @param {number} [request.timeout=5000] – time to wait for the response (ms)
+     * @returns {Promise<Buffer>} response
+     */
+    async transaction(mac, request) {
+        const devId = this._macToId(mac);
+        const ctx = this.devices.get(devId);
+        if (!ctx || !ctx.connected || !ctx.services) throw new Error(`${devId} is not connected`);
+
+        const { fullUuid } = GattDefinitionRegistry;
+        const service = request.service ? fullUuid(request.service) : null;
+        const write = GattDefinitionRegistry.findCharacteristic(ctx.services, { char: fullUuid(request.write), service });
+        if (!write) throw new Error(`characteristic ${this._gattId(request.write)} not found`);
+        const response = request.response
+            ? GattDefinitionRegistry.findCharacteristic(ctx.services, { char: fullUuid(request.response), service })
+            : write;
+        if (!response) throw new Error(`characteristic ${this._gattId(request.response)} not found`);
+
+        const responseFlags = response.ch.flags || [];
+        if (!responseFlags.includes('notify') && !responseFlags.includes('indicate')) {
+            throw new Error(`characteristic ${this._gattId(response.ch.uuid)} does not notify`);
+        }
+        const writeFlags = write.ch.flags || [];
+        const options = writeFlags.includes('write-without-response') && !writeFlags.includes('write') ? { type: 'command' } : {};
+        const timeout = request.timeout || TRANSACTION_TIMEOUT;
+        const charPath = response.ch.path;
+
+        // Runs inside the queue: BlueZ is called directly, the queue would wait for this operation
+        return this.gatt.run(write.ch.path, async () => {
+            if (!ctx.subscriptions.includes(charPath)) {
+                // Not subscribed by the tree: connected without subscriptions, or left out
+                // by a definition without raw tree. States exist only in the first case.
+                await this.bluez.startNotify(charPath, data => {
+                    const charStateId = [...ctx.charPaths].find(([id, path]) => path === charPath && !id.endsWith('.read'))?.[0];
+                    if (!charStateId) {
+                        this._onResponse(ctx, charPath, data);
+                        return;
+                    }
+                    this._onNotification(devId, charStateId, data)
+                        .catch(e => this.adapter.log.debug(`${charStateId}: ${e.message}`));
+                });
+                ctx.subscriptions.push(charPath);
+            }
+
+            let timer;
+            const answer = new Promise((resolve, reject) => {
+                ctx.transaction = { charPath, match: request.match || null, resolve, reject };
+            });
+            // A disconnect may reject it before it is awaited
+            answer.catch(() => {});
+            try {
+                this.adapter.log.debug(`${devId}: transaction ${request.value.toString('hex')} → ${this._gattId(write.ch.uuid)}`);
+                await this.bluez.writeCharacteristic(write.ch.path, request.value, options);
+                const expired = new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error(`no response within ${timeout} ms`)), timeout);
+                });
+                return await Promise.race([answer, expired]);
+            } finally {
+                clearTimeout(timer);
+                ctx.transaction = null;
+            }
+        }, { label: 'transaction', priority: PRIORITY.USER, timeout: this.gatt.timeout + timeout, retries: 0 });
+    }
+
+    /**
+     * Run a transaction of the device's definition (`message.transaction`,
+     * `message.params`) or a raw one described by the message itself
+     * (write, value, response, prefix, codec, …; see
+     * GattDefinitionRegistry.normaliseTransaction()).
+     *
+     * @param {string} mac
+     * @param {object} message – sendTo message
+     * @returns {Promise<{response: string, value: *}>} response as hex and decoded (null without decoder)
+     */
+    async runTransaction(mac, message) {
+        const devId = this._macToId(mac);
+        let tx;
+        if (message.transaction) {
+            tx = this.devices.get(devId)?.definition?.transactions[message.transaction];
+            if (!tx) throw new Error(`${devId} has no transaction ${message.transaction}`);
+        } else {
+            tx = GattDefinitionRegistry.normaliseTransaction(message);
+        }
+
+        const { params } = message;
+        const response = await this.transaction(devId, {
+            write: tx.write,
+            response: tx.response,
+            service: tx.service,
+            value: tx.encode(params),
+            match: tx.match && (buf => tx.match(buf, params)),
+            timeout: tx.timeout,
+        });
+        return { response: response.toString('hex'), value: GattDefinitionRegistry.decode(tx, response) };
+    }
+
+    /**
+     * Read a descriptor and update its state.
+     *
+     * @param {string} stateId – e.g. ….2a19.2901
+     * @param {object} native  – native section of the descriptor state
+     */
+    async readDescriptor(stateId, native) {
+        const data = await this.gatt.readDescriptor(native.descPath, { priority: PRIORITY.USER });
+        await this.adapter.setStateAsync(stateId, { val: this._descriptorValue(this._descriptorId(native.uuid), data), ack: true });
+    }
+
+    /**
+     * Write a descriptor identified by its ioBroker state id.
+     *
+     * BlueZ doesn't allow writing the Client Characteristic Configuration
+     * (0x2902) directly; notifications/indications are enabled (any of the two
+     * low bits set) or disabled through StartNotify/StopNotify instead.
+     *
+     * @param {string} stateId – e.g. ….2a37.2902
+     * @param {any} value
+     * @param {object} native  – native section of the descriptor state
+     */
+    async writeDescriptor(stateId, value, native) {
+        const buffer = this._valueToBuffer(value);
+
+        if (this._descriptorId(native.uuid) === '2902') {
+            const charStateId = stateId.slice(0, stateId.lastIndexOf('.'));
+            const ctx = this.devices.get(this._idToMac(stateId));
+            const enable = buffer.length > 0 && (buffer[0] & 0x03) !== 0;
+
+            if (enable) {
+                await this.gatt.startNotify(native.charPath, async (data) => {
+                    await this._onNotification(this._idToMac(charStateId), charStateId, data);
+                }, { priority: PRIORITY.USER });
+                if (ctx && !ctx.subscriptions.includes(native.charPath)) ctx.subscriptions.push(native.charPath);
+            } else {
+                await this.gatt.stopNotify(native.charPath, { priority: PRIORITY.USER });
+                if (ctx) ctx.subscriptions = ctx.subscriptions.filter(p => p !== native.charPath);
+            }
+            return;
+        }
+
+        this.adapter.log.debug(`Writing ${buffer.toString('hex')} to descriptor ${native.uuid}`);
+        await this.gatt.writeDescriptor(native.descPath, buffer);
     }
 
     /**
@@ -881,44 +1560,51 @@ class DeviceManager {
         const charPath = ctx.charPaths.get(buttonStateId) || ctx.charPaths.get(charStateId);
         if (!charPath) return;
 
-        const data = await this.bluez.readCharacteristic(charPath);
+        const data = await this.gatt.readCharacteristic(charPath, { priority: PRIORITY.USER });
         await this._setCharacteristicValue(charStateId, data);
     }
 
     /**
-     * Start a polling timer for a device.
+     * Start the polling timers of a device, one per characteristic with a
+     * poll interval (see _pollInterval()). Ticks use the metadata cached by
+     * buildCharacteristicTree() and are skipped while the device is
+     * disconnected.
+     *
      * @param {string} mac
-     * @param {number} intervalMs
      */
-    startPolling(mac, intervalMs) {
+    startPolling(mac) {
         const ctx = this.devices.get(mac);
         if (!ctx) return;
         this.stopPolling(mac);
 
-        ctx.pollTimer = setInterval(async () => {
-            for (const [stateId, charPath] of ctx.charPaths) {
-                // Only poll actual value states (not .read buttons)
-                if (stateId.endsWith('.read')) continue;
-
-                try {
-                    const obj = await this.adapter.getObjectAsync(stateId);
-                    const props = obj?.native?.properties || [];
-                    if (!props.includes('read')) continue;
-
-                    const data = await this.bluez.readCharacteristic(charPath);
-                    await this._setCharacteristicValue(stateId, data);
-                } catch (e) {
-                    this.adapter.log.debug(`Poll read ${stateId} failed: ${e.message}`);
+        for (const [stateId, poll] of ctx.polls) {
+            const tick = async () => {
+                if (ctx.connected) {
+                    try {
+                        const data = await this.gatt.readCharacteristic(poll.charPath, { priority: PRIORITY.POLL });
+                        await this._setCharacteristicValue(stateId, data);
+                    } catch (e) {
+                        this.adapter.log.debug(`Poll read ${stateId} failed: ${e.message}`);
+                    }
                 }
-            }
-        }, intervalMs);
+                // stopPolling() clears the timer while a read is pending
+                if (poll.timer) poll.timer = setTimeout(tick, poll.intervalMs);
+            };
+            poll.timer = setTimeout(tick, poll.intervalMs);
+        }
+
+        if (ctx.polls.size > 0) {
+            this.adapter.log.debug(`${mac}: polling ${ctx.polls.size} characteristic(s)`);
+        }
     }
 
     stopPolling(mac) {
         const ctx = this.devices.get(mac);
-        if (!ctx || !ctx.pollTimer) return;
-        clearInterval(ctx.pollTimer);
-        ctx.pollTimer = null;
+        if (!ctx) return;
+        for (const poll of ctx.polls.values()) {
+            if (poll.timer) clearTimeout(poll.timer);
+            poll.timer = null;
+        }
     }
 
     /**
@@ -931,8 +1617,17 @@ class DeviceManager {
         const ctx = this.devices.get(mac);
         if (!ctx) return;
 
+        ctx.connected = false;
         this.stopPolling(mac);
+        this._flushFilters(ctx);
+        if (ctx.transaction) ctx.transaction.reject(new Error('Device disconnected'));
+        if (ctx.serviceChangedTimer) {
+            clearTimeout(ctx.serviceChangedTimer);
+            ctx.serviceChangedTimer = null;
+        }
+        this.gatt.clear(this.bluez.macToDevicePath(mac));
 
+        // Not queued: the subscriptions are gone with the connection anyway
         for (const charPath of ctx.subscriptions) {
             try {
                 await this.bluez.stopNotify(charPath);
@@ -941,6 +1636,46 @@ class DeviceManager {
         ctx.subscriptions = [];
     }
 
+    /**
+     * The peripheral's GATT database changed – BlueZ added or removed GATT
+     * objects of the connected device, or (where BlueZ exports it) Service
+     * Changed (0x2A05) indicated. Every change restarts the timer, so the
+     * discovery only runs once BlueZ has been quiet for a while – a layout
+     * read in the middle of re-exporting would delete the states of the
+     * services that are not back yet. The layout diff updates the objects.
+     *
+     * @param {string} mac
+     */
+    rediscover(mac) {
+        const ctx = this.devices.get(mac);
+        if (!ctx || !ctx.connected) return;
+
+        const devId = this._macToId(mac);
+        if (ctx.serviceChangedTimer) {
+            clearTimeout(ctx.serviceChangedTimer);
+        } else {
+            this.adapter.log.info(`${devId}: GATT services changed, discovering again`);
+        }
+        ctx.serviceChangedTimer = setTimeout(async () => {
+            ctx.serviceChangedTimer = null;
+            if (!ctx.connected) return;
+            try {
+                // The old attribute paths are gone or belong to other characteristics now
+                for (const charPath of ctx.subscriptions) {
+                    try {
+                        await this.bluez.stopNotify(charPath);
+                    } catch (_) { /* ignore */ }
+                }
+                ctx.subscriptions = [];
+
+                const services = await this.bluez.discoverServices(this.bluez.macToDevicePath(mac));
+                await this.buildCharacteristicTree(mac, services, ctx.buildOpts);
+            } catch (e) {
+                this.adapter.log.warn(`${devId}: discovery after service change failed: ${e.message}`);
+            }
+        }, SERVICE_CHANGED_DELAY);
+    }
+
     /**
      * Tear down everything.
      */
@@ -949,11 +1684,28 @@ class DeviceManager {
             await this.setDisconnected(mac);
         }
         this.devices.clear();
-        this._bthomeCreated.clear();
+        this._queueStates.clear();
+        this._sensorCreated.clear();
+        this._sensorDecryption.clear();
+        this._sensorLastEvent.clear();
     }
 
     // ── Private helpers ──────────────────────────────────────────────
 
+    /**
+     * Update info.gattQueue when the number of pending GATT operations changes.
+     *
+     * @param {string} devicePath
+     * @param {number} depth
+     */
+    _onQueueDepth(devicePath, depth) {
+        // …/dev_AA_BB_CC_DD_EE_FF → AA-BB-CC-DD-EE-FF
+        const devId = devicePath.slice(devicePath.lastIndexOf('/dev_') + 5).replace(/_/g, '-').toUpperCase();
+        if (!this._queueStates.has(devId)) return;
+        this.adapter.setStateChangedAsync(`${devId}.info.gattQueue`, { val: depth, ack: true })
+            .catch(e => this.adapter.log.debug(`${devId}: updating gattQueue failed: ${e.message}`));
+    }
+
     /** Convert MAC to ioBroker-safe object id segment */
     _macToId(mac) {
         return mac.replace(/:/g, '-').toUpperCase();
@@ -969,52 +1721,561 @@ class DeviceManager {
     }
 
     /**
-     * Generate a human-friendly display name for a BTHome measurement.
-     * @param {string} name – internal BTHome name (snake_case)
+     * Generate a human-friendly display name for a sensor measurement.
+     * @param {string} name – measurement name (snake_case)
      * @returns {string}
      */
-    _bthomeDisplayName(name) {
+    _sensorDisplayName(name) {
         const map = {
             battery: 'Battery',
-            battery_ok: 'Battery OK',
+            battery_low: 'Battery low',
+            battery_charging: 'Battery charging',
             temperature: 'Temperature',
             humidity: 'Humidity',
+            pressure: 'Pressure',
             illuminance: 'Illuminance',
+            mass_kg: 'Mass',
+            mass_lb: 'Mass (lb)',
+            dewpoint: 'Dew point',
             power: 'Power',
             power_on: 'Power On',
             opening: 'Opening',
             co2: 'CO₂',
             tvoc: 'TVOC',
+            pm25: 'PM2.5',
+            pm10: 'PM10',
             moisture: 'Moisture',
             motion: 'Motion',
             window: 'Window',
             button: 'Button',
+            dimmer: 'Dimmer',
             rotation: 'Rotation',
+            uv_index: 'UV index',
+            volume_ml: 'Volume (mL)',
+            volume_flow_rate: 'Volume flow rate',
+            distance_mm: 'Distance (mm)',
+            distance_m: 'Distance (m)',
+            device_type_id: 'Device type ID',
+            firmware_version: 'Firmware version',
             packet_id: 'Packet ID',
+            no_motion_time: 'Time without motion',
+            external_probe: 'External probe',
+            tx_power: 'TX power',
+            id: 'Beacon ID',
+            device_type: 'Device type',
+            battery_left: 'Battery left',
+            battery_right: 'Battery right',
+            battery_case: 'Battery case',
+            charging: 'Charging',
+            charging_left: 'Charging left',
+            charging_right: 'Charging right',
+            charging_case: 'Charging case',
+            in_ear_left: 'In ear left',
+            in_ear_right: 'In ear right',
+            product_id: 'Product ID',
+            device_state: 'Device state',
+            error_text: 'Error',
+            alarm_text: 'Alarm',
+            battery_voltage: 'Battery voltage',
+            battery_current: 'Battery current',
+            yield_today: 'Yield today',
+            pv_power: 'PV power',
+            load_current: 'Load current',
+            time_to_go: 'Time to go',
+            starter_voltage: 'Starter battery voltage',
+            midpoint_voltage: 'Midpoint voltage',
+            consumed_ah: 'Consumed Ah',
+            soc: 'State of charge',
+            ac_apparent_power: 'AC apparent power',
+            ac_voltage: 'AC voltage',
+            ac_current: 'AC current',
+            input_voltage: 'Input voltage',
+            output_voltage: 'Output voltage',
+            off_reason: 'Off reason',
+            open_timeout: 'Open too long',
+            button_count: 'Button count',
+            switch_mode: 'Switch mode',
+            moving: 'Moving',
+            calibrated: 'Calibrated',
+            light_level: 'Light level',
+            turnOn: 'Turn on',
+            turnOff: 'Turn off',
+            setPosition: 'Set position',
+            uuid: 'UUID',
+            measured_power: 'Measured power (1 m)',
+            url: 'URL',
+            eid: 'Ephemeral ID',
+            adv_count: 'Advertisements sent',
+            uptime: 'Uptime',
         };
         return map[name] || name.charAt(0).toUpperCase() + name.slice(1).replace(/_/g, ' ');
     }
 
     /**
-     * Convert a BLE Buffer to a human-friendly string and update the state.
+     * Read all readable descriptors of a characteristic.
+     *
+     * @param {string} mac
+     * @param {{uuid: string, descriptors?: Array<{uuid: string, path: string, flags: string[]}>}} ch
+     * @returns {Promise<Map<string, Buffer>>} short (or full) descriptor UUID → value
+     */
+    async _readDescriptors(mac, ch) {
+        const values = new Map();
+        for (const desc of ch.descriptors || []) {
+            const flags = desc.flags || [];
+            // Older BlueZ versions don't report descriptor flags
+            if (flags.length > 0 && !flags.includes('read')) continue;
+            try {
+                values.set(this._descriptorId(desc.uuid), await this.gatt.readDescriptor(desc.path));
+            } catch (e) {
+                this.adapter.log.debug(`${mac} reading descriptor ${desc.uuid} of ${ch.uuid} failed: ${e.message}`);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Create one state per descriptor below the characteristic state.
+     *
+     * @param {string} mac
+     * @param {string} charStateId
+     * @param {{uuid: string, path: string, descriptors?: Array<{uuid: string, path: string, flags: string[]}>}} ch
+     * @param {Map<string, Buffer>} descValues – values from _readDescriptors()
+     */
+    async _buildDescriptorStates(mac, charStateId, ch, descValues) {
+        for (const desc of ch.descriptors || []) {
+            const descId = this._descriptorId(desc.uuid);
+            const flags = desc.flags || [];
+            const stateId = `${charStateId}.${descId}`;
+            // The CCCD is written by BlueZ itself; writes are mapped to (un)subscribing
+            const canWrite = descId === '2902' || flags.includes('write');
+
+            await this._ensureState(stateId, {
+                name: lookupDescriptor(desc.uuid) || `Descriptor ${descId}`,
+                type: 'string',
+                role: canWrite ? 'level' : 'value',
+                read: true,
+                write: canWrite,
+            }, '');
+            await this.adapter.extendObjectAsync(stateId, {
+                native: { uuid: desc.uuid, mac, descriptor: true, properties: flags, descPath: desc.path, charPath: ch.path },
+            });
+
+            if (descValues.has(descId)) {
+                await this.adapter.setStateAsync(stateId, { val: this._descriptorValue(descId, descValues.get(descId)), ack: true });
+            }
+        }
+    }
+
+    /**
+     * Object id segment of a service or characteristic: the 16-bit part of
+     * a 128-bit UUID, otherwise the UUID as is.
+     *
+     * @param {string} uuid
+     * @returns {string}
+     */
+    _gattId(uuid) {
+        const hex = uuid.toLowerCase().replace(/-/g, '');
+        return hex.length === 32 ? hex.slice(4, 8) : hex;
+    }
+
+    /**
+     * The part of a discovery result the object tree depends on.
+     *
+     * @param {Array<object>} servicesInfo – from BluezManager.discoverServices()
+     * @returns {Array<object>}
+     */
+    _gattLayout(servicesInfo) {
+        return servicesInfo.map(svc => ({
+            uuid: svc.uuid,
+            path: svc.path,
+            characteristics: svc.characteristics.map(ch => ({
+                uuid: ch.uuid,
+                path: ch.path,
+                flags: ch.flags || [],
+                descriptors: (ch.descriptors || []).map(desc => ({ uuid: desc.uuid, path: desc.path, flags: desc.flags || [] })),
+            })),
+        }));
+    }
+
+    /**
+     * Object ids a layout creates below the device.
+     *
+     * @param {string} devId
+     * @param {Array<object>} layout – from _gattLayout()
+     * @returns {Set<string>}
+     */
+    _gattLayoutIds(devId, layout) {
+        const ids = new Set();
+        for (const svc of layout) {
+            const svcId = `${devId}.services.${this._gattId(svc.uuid)}`;
+            ids.add(svcId);
+            for (const ch of svc.characteristics) {
+                const charStateId = `${svcId}.${this._gattId(ch.uuid)}`;
+                ids.add(charStateId);
+                if (ch.flags.includes('read')) ids.add(`${charStateId}.read`);
+                for (const desc of ch.descriptors) ids.add(`${charStateId}.${this._descriptorId(desc.uuid)}`);
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * @param {string} devId
+     * @returns {Promise<{layout: Array<object>, descriptorValues: object}|null>}
+     */
+    async _readGattCache(devId) {
+        const obj = await this.adapter.getObjectAsync(`${devId}.services`);
+        return obj?.native?.gattCache || null;
+    }
+
+    /**
+     * Replace (not extend – arrays and removed keys must not survive) the cache.
+     *
+     * @param {string} devId
+     * @param {Array<object>} layout
+     * @param {Record<string, Record<string, string>>} descriptorValues
+     */
+    async _writeGattCache(devId, layout, descriptorValues) {
+        const id = `${devId}.services`;
+        const obj = await this.adapter.getObjectAsync(id);
+        if (!obj) return;
+        obj.native = { ...obj.native, gattCache: { layout, descriptorValues } };
+        await this.adapter.setObjectAsync(id, obj);
+    }
+
+    /**
+     * Delete the objects of services, characteristics and descriptors that
+     * are no longer part of the device's GATT database.
+     *
+     * @param {string} devId
+     * @param {Array<object>} oldLayout
+     * @param {Array<object>} newLayout
+     */
+    async _removeVanishedObjects(devId, oldLayout, newLayout) {
+        const current = this._gattLayoutIds(devId, newLayout);
+        const vanished = [...this._gattLayoutIds(devId, oldLayout)].filter(id => !current.has(id));
+
+        // Children before their parents
+        vanished.sort((a, b) => b.length - a.length);
+        for (const id of vanished) {
+            try {
+                await this.adapter.delObjectAsync(id);
+                this.adapter.log.debug(`${devId}: removed ${id}`);
+            } catch (e) {
+                this.adapter.log.debug(`${devId}: removing ${id} failed: ${e.message}`);
+            }
+        }
+        if (vanished.length > 0) {
+            this.adapter.log.info(`${devId}: removed ${vanished.length} object(s) no longer offered by the device`);
+        }
+    }
+
+    /**
+     * Object id segment of a descriptor: 16-bit UUID for SIG descriptors,
+     * the full UUID without dashes otherwise.
+     *
+     * @param {string} uuid
+     * @returns {string}
+     */
+    _descriptorId(uuid) {
+        return shortUuid(uuid) || uuid.toLowerCase().replace(/-/g, '');
+    }
+
+    /**
+     * Descriptor value as state value: text for the User Description, hex otherwise.
+     *
+     * @param {string} descId
+     * @param {Buffer} buffer
+     * @returns {string}
+     */
+    _descriptorValue(descId, buffer) {
+        return descId === '2901' ? buffer.toString('utf8').replace(/\0+$/, '') : buffer.toString('hex');
+    }
+
+    /**
+     * User-configured codec of a characteristic: `native.codec` of an existing
+     * state first, then the "GATT codecs" admin table.
+     *
+     * @param {string} mac
+     * @param {object|undefined} native – native section of the existing state
+     * @param {{uuid: string}} ch
+     * @returns {object|null}
+     */
+    _characteristicCodec(mac, native, ch) {
+        const config = native?.codec || findCodecConfig(this.codecs, mac, ch.uuid);
+        if (!config) return null;
+
+        const codec = createCodec(config);
+        if (!codec) {
+            this.adapter.log.warn(`${mac}: invalid codec ${JSON.stringify(config)} for ${ch.uuid}, ignoring`);
+        }
+        return codec;
+    }
+
+    /**
+     * Poll interval of a characteristic in seconds (0 = not polled):
+     * `native.pollInterval` of the state, then the device's allowlist entry –
+     * per characteristic in "Poll characteristics" ("2a19=60, fff1=0"),
+     * otherwise its "Poll interval".
+     *
+     * @param {string} devId
+     * @param {string} uuid – characteristic UUID
+     * @param {object|undefined} native – native section of the existing state
+     * @returns {number}
+     */
+    _pollInterval(devId, uuid, native) {
+        if (native && native.pollInterval !== undefined && native.pollInterval !== null && native.pollInterval !== '') {
+            return Math.max(0, Number(native.pollInterval) || 0);
+        }
+
+        const settings = this.deviceSettings.get(devId) || {};
+        const full = uuid.toLowerCase().replace(/-/g, '');
+        const short = shortUuid(uuid);
+        for (const part of String(settings.pollCharacteristics || '').split(',')) {
+            const [key, value] = part.split('=').map(x => x.trim().toLowerCase().replace(/-/g, ''));
+            if (key && (key === full || key === short)) return Math.max(0, Number(value) || 0);
+        }
+
+        return Math.max(0, Number(settings.pollInterval) || 0);
+    }
+
+    /**
+     * Value spec stored in the native section of a characteristic state.
+     *
+     * @param {object} native
+     * @returns {object|null}
+     */
+    _specFromNative(native) {
+        if (native.codec) return createCodec(native.codec);
+        if (native.sig) return getCharacteristicSpec(native.sig);
+        return native.presentation || null;
+    }
+
+    /**
+     * Decode a BLE Buffer and update the state: typed value for characteristics
+     * with a spec, otherwise a human-friendly string.
      */
     async _setCharacteristicValue(stateId, buffer) {
+        const ctx = this.devices.get(this._idToMac(stateId));
+        await this._setDefinitionValues(ctx, stateId, buffer);
+        if (ctx && ctx.rawTree === false) return;
+        await this.adapter.setStateAsync(stateId, { val: this._decodeCharacteristicValue(stateId, buffer), ack: true });
+    }
+
+    /**
+     * Decode a characteristic value with its spec, or guess hex/text.
+     *
+     * @param {string} stateId
+     * @param {Buffer|Array<number>} buffer
+     * @returns {any}
+     */
+    _decodeCharacteristicValue(stateId, buffer) {
         if (!Buffer.isBuffer(buffer)) {
             buffer = Buffer.from(buffer || []);
         }
 
-        let val;
-        if (buffer.length === 0) {
-            val = '';
-        } else if (buffer.length <= 4 && buffer.every((b) => b <= 0xff)) {
-            val = buffer.toString('hex');
-        } else if (buffer.every((b) => b >= 0x20 && b < 0x7f)) {
-            val = buffer.toString('utf8');
+        const spec = this.devices.get(this._idToMac(stateId))?.charSpecs?.get(stateId);
+        if (spec) return decodeValue(spec, buffer);
+
+        if (buffer.length === 0) return '';
+        if (buffer.length <= 4 && buffer.every((b) => b <= 0xff)) return buffer.toString('hex');
+        if (buffer.every((b) => b >= 0x20 && b < 0x7f)) return buffer.toString('utf8');
+        return buffer.toString('hex');
+    }
+
+    /**
+     * A notification or indication: decode, then write the state directly
+     * or through the characteristic's notification filter.
+     *
+     * @param {string} mac
+     * @param {string} charStateId
+     * @param {Buffer} data
+     */
+    async _onNotification(mac, charStateId, data) {
+        const ctx = this.devices.get(mac);
+        this._onResponse(ctx, ctx?.charPaths.get(charStateId), data);
+        const filter = ctx?.filters?.get(charStateId);
+        if (filter) {
+            await this._setDefinitionValues(ctx, charStateId, data);
+            filter.push(this._decodeCharacteristicValue(charStateId, data));
         } else {
-            val = buffer.toString('hex');
+            await this._setCharacteristicValue(charStateId, data);
+        }
+    }
+
+    /**
+     * Hand a notification to the running transaction if it is the awaited response.
+     *
+     * @param {object|undefined} ctx – device context
+     * @param {string|undefined} charPath
+     * @param {Buffer|Array<number>} data
+     */
+    _onResponse(ctx, charPath, data) {
+        const waiter = ctx?.transaction;
+        if (!waiter || waiter.charPath !== charPath) return;
+
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data || []);
+        try {
+            if (waiter.match && !waiter.match(buffer)) return;
+        } catch (e) {
+            this.adapter.log.debug(`Transaction response predicate failed: ${e.message}`);
+            return;
         }
+        ctx.transaction = null;
+        waiter.resolve(buffer);
+    }
 
-        await this.adapter.setStateAsync(stateId, { val, ack: true });
+    /**
+     * Notification filter settings of a characteristic: `native.notificationFilter`
+     * of an existing state first, then the "Notification filters" admin table.
+     *
+     * @param {string} mac
+     * @param {{uuid: string}} ch
+     * @param {object|undefined} native – native section of the existing state
+     * @returns {{minInterval: number, deadband: number, aggregate: string}|null}
+     */
+    _notificationFilterConfig(mac, ch, native) {
+        // Rows are matched like the codec table
+        return NotificationFilter.fromConfig(native?.notificationFilter || findCodecConfig(this.notificationFilters, mac, ch.uuid));
+    }
+
+    /**
+     * Device definition for a connected device, matched by its BlueZ
+     * properties and the discovered services.
+     *
+     * @param {string} mac
+     * @param {Array<{uuid: string}>} servicesInfo
+     * @returns {object|null}
+     */
+    _matchDefinition(mac, servicesInfo) {
+        if (!this.definitions) return null;
+
+        const devId = this._macToId(mac);
+        const device = this.bluez.getDevice(devId.replace(/-/g, ':')) || {};
+        const definition = this.definitions.match({
+            mac: devId,
+            name: device.name || device.alias,
+            manufacturerData: device.manufacturerData,
+            uuids: device.uuids,
+        }, servicesInfo);
+        if (definition) this.adapter.log.debug(`${devId}: using device definition ${definition.title}`);
+        return definition;
+    }
+
+    /**
+     * Run the init sequence of a definition (writes and delays). A failing
+     * step is logged; the following ones still run.
+     *
+     * @param {string} devId
+     * @param {object} definition
+     * @param {Array<object>} servicesInfo
+     */
+    async _runDefinitionInit(devId, definition, servicesInfo) {
+        for (const step of definition.init) {
+            if (step.delay !== undefined) {
+                await new Promise(resolve => setTimeout(resolve, step.delay));
+                continue;
+            }
+            const found = GattDefinitionRegistry.findCharacteristic(servicesInfo, step);
+            if (!found) {
+                this.adapter.log.warn(`${devId}: ${definition.name} init: characteristic ${this._gattId(step.char)} not found`);
+                continue;
+            }
+            try {
+                await this.gatt.writeCharacteristic(found.ch.path, step.value, { type: 'request' });
+            } catch (e) {
+                this.adapter.log.warn(`${devId}: ${definition.name} init write to ${this._gattId(step.char)} failed: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Create the `sensors`/`controls` states of a definition and remember
+     * which characteristic feeds which states (ctx.definitionEntries).
+     *
+     * @param {string} devId
+     * @param {object} definition
+     * @param {Array<object>} servicesInfo
+     * @param {object} ctx – device context
+     */
+    async _createDefinitionObjects(devId, definition, servicesInfo, ctx) {
+        for (const channel of new Set(definition.entries.map(e => e.channel))) {
+            await this._ensureObject(`${devId}.${channel}`, {
+                type: 'channel',
+                common: { name: `${definition.title} ${channel}` },
+                native: { definition: definition.name },
+            });
+        }
+
+        for (const entry of definition.entries) {
+            const found = GattDefinitionRegistry.findCharacteristic(servicesInfo, entry);
+            if (!found) {
+                this.adapter.log.debug(`${devId}: ${definition.name}.${entry.id}: characteristic ${this._gattId(entry.char)} not found`);
+                continue;
+            }
+            const { svc, ch } = found;
+            const flags = ch.flags || [];
+            const charStateId = `${devId}.services.${this._gattId(svc.uuid)}.${this._gattId(ch.uuid)}`;
+            const stateId = `${devId}.${entry.channel}.${entry.id}`;
+
+            const common = { ...entry.common, name: entry.common.name || this._sensorDisplayName(entry.id) };
+            for (const key of Object.keys(common)) {
+                if (common[key] === undefined) delete common[key];
+            }
+            const native = {
+                definition: definition.name,
+                entry: entry.id,
+                uuid: ch.uuid,
+                charPath: ch.path,
+                charStateId,
+                readable: flags.includes('read'),
+                withoutResponse: flags.includes('write-without-response') && !flags.includes('write'),
+            };
+
+            const existing = await this.adapter.getObjectAsync(stateId);
+            if (!existing) {
+                await this.adapter.setObjectNotExistsAsync(stateId, { type: 'state', common, native });
+            } else if (this._objectDiffers(existing, { common, native })) {
+                await this.adapter.extendObjectAsync(stateId, { common, native });
+            }
+
+            if (!ctx.definitionEntries.has(charStateId)) ctx.definitionEntries.set(charStateId, []);
+            ctx.definitionEntries.get(charStateId).push({ entry, stateId });
+        }
+    }
+
+    /**
+     * Feed a characteristic value to the definition states it belongs to.
+     *
+     * @param {object|undefined} ctx – device context
+     * @param {string} charStateId
+     * @param {Buffer|Array<number>} buffer
+     */
+    async _setDefinitionValues(ctx, charStateId, buffer) {
+        const targets = ctx?.definitionEntries?.get(charStateId);
+        if (!targets) return;
+
+        const data = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || []);
+        for (const { entry, stateId } of targets) {
+            // Write-only control
+            if (!entry.codec && !entry.decodeFn) continue;
+
+            const val = GattDefinitionRegistry.decode(entry, data);
+            if (val === null) {
+                this.adapter.log.debug(`${stateId}: cannot decode ${data.toString('hex')}`);
+                continue;
+            }
+            await this.adapter.setStateAsync(stateId, { val: typeof val === 'object' ? JSON.stringify(val) : val, ack: true });
+        }
+    }
+
+    /**
+     * Write held-back filter values and drop the filters of a device.
+     * @param {object} ctx – device context
+     */
+    _flushFilters(ctx) {
+        for (const filter of ctx.filters.values()) filter.flush();
+        ctx.filters.clear();
     }
 
     /**
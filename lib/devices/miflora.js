@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Xiaomi Mi Flora (HHCCJCY01) plant sensor. The realtime values in 0x1A01
+ * are only readable after writing the mode change a01f to 0x1A00.
+ */
+
+module.exports = {
+    name: 'miflora',
+    title: 'Xiaomi Mi Flora',
+    namePattern: /^Flower (care|mate)$/i,
+    serviceUuids: ['1204'],
+    init: [
+        { char: '1a00', value: 'a01f' },
+    ],
+    sensors: [
+        { id: 'temperature', char: '1a01', codec: 's16le', offset: 0, scale: 0.1, unit: '°C', role: 'value.temperature' },
+        { id: 'illuminance', char: '1a01', codec: 'u32le', offset: 3, unit: 'lux', role: 'value.brightness' },
+        { id: 'moisture', char: '1a01', codec: 'u8', offset: 7, unit: '%', role: 'value.humidity' },
+        { id: 'conductivity', char: '1a01', codec: 'u16le', offset: 8, unit: 'µS/cm', role: 'value' },
+        { id: 'battery', char: '1a02', codec: 'u8', offset: 0, unit: '%', role: 'value.battery' },
+        { id: 'firmware', char: '1a02', type: 'string', role: 'info.firmware', decode: buf => buf.toString('ascii', 2).replace(/\0+$/, '') },
+    ],
+    controls: [
+        // Lets the LED blink to find the sensor
+        { id: 'blink', char: '1a00', type: 'boolean', role: 'button', write: () => Buffer.from([0xfd, 0xff]) },
+    ],
+};
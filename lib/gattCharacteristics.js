@@ -0,0 +1,420 @@
+'use strict';
+
+/**
+ * gattCharacteristics.js – decode/encode GATT characteristic values.
+ *
+ * Well-known SIG characteristics (battery level, temperature, device
+ * information strings, …) are decoded into typed values with unit and role.
+ * Other characteristics can describe themselves with the Characteristic
+ * Presentation Format descriptor (0x2904):
+ *
+ *   Byte 0:   Format (see FORMATS)
+ *   Byte 1:   Exponent (int8) – value = raw × 10^exponent
+ *   Byte 2-3: Unit (uint16 LE, org.bluetooth.unit.*)
+ *   Byte 4:   Namespace
+ *   Byte 5-6: Description
+ *
+ * A "spec" describes how a value is decoded:
+ *   { name, type: 'number'|'string'|'boolean', unit, role, format, exponent }
+ * or, for structured characteristics, a custom decode(buf) instead of format.
+ *
+ * @see Bluetooth Core Spec Vol 3, Part G, 3.3.3.5
+ * @see https://www.bluetooth.com/specifications/assigned-numbers/
+ */
+
+/**
+ * Presentation format types: id → [name, byte length].
+ * Length 0 = variable (strings, struct).
+ * @type {Record<number, [string, number]>}
+ */
+const FORMATS = {
+    0x01: ['boolean', 1],
+    0x02: ['uint2', 1],
+    0x03: ['uint4', 1],
+    0x04: ['uint8', 1],
+    0x05: ['uint12', 2],
+    0x06: ['uint16', 2],
+    0x07: ['uint24', 3],
+    0x08: ['uint32', 4],
+    0x09: ['uint48', 6],
+    0x0A: ['uint64', 8],
+    0x0C: ['sint8', 1],
+    0x0D: ['sint12', 2],
+    0x0E: ['sint16', 2],
+    0x0F: ['sint24', 3],
+    0x10: ['sint32', 4],
+    0x11: ['sint48', 6],
+    0x12: ['sint64', 8],
+    0x14: ['float32', 4],
+    0x15: ['float64', 8],
+    0x16: ['sfloat', 2],
+    0x17: ['float', 4],
+    0x19: ['utf8s', 0],
+    0x1A: ['utf16s', 0],
+    0x1B: ['struct', 0],
+};
+
+/**
+ * Units of the presentation format (org.bluetooth.unit.*).
+ * @type {Record<number, string>}
+ */
+const UNITS = {
+    0x2700: '',
+    0x2701: 'm',
+    0x2702: 'kg',
+    0x2703: 's',
+    0x2704: 'A',
+    0x2705: 'K',
+    0x2722: 'Hz',
+    0x2723: 'N',
+    0x2724: 'Pa',
+    0x2725: 'J',
+    0x2726: 'W',
+    0x2727: 'C',
+    0x2728: 'V',
+    0x2729: 'F',
+    0x272A: 'Ω',
+    0x272B: 'S',
+    0x272F: '°C',
+    0x2731: 'lux',
+    0x2760: 'min',
+    0x2761: 'h',
+    0x2762: 'd',
+    0x2763: '°',
+    0x27A7: 'bpm',
+    0x27AC: '°F',
+    0x27AD: '%',
+};
+
+/** Roles by unit, for characteristics described by a presentation format */
+const UNIT_ROLES = {
+    '°C': 'value.temperature',
+    '°F': 'value.temperature',
+    'V': 'value.voltage',
+    'A': 'value.current',
+    'W': 'value.power',
+    'Pa': 'value.pressure',
+    'lux': 'value.brightness',
+};
+
+/**
+ * Decode an IEEE-11073 16-bit SFLOAT.
+ *
+ * @param {number} raw – uint16
+ * @returns {number|null} – null for NaN / NRes / ±INF / reserved
+ */
+function decodeSfloat(raw) {
+    if (raw >= 0x07FE && raw <= 0x0802) return null;
+    let mantissa = raw & 0x0FFF;
+    let exponent = raw >> 12;
+    if (mantissa >= 0x0800) mantissa -= 0x1000;
+    if (exponent >= 0x08) exponent -= 0x10;
+    return Number((mantissa * 10 ** exponent).toFixed(Math.max(0, -exponent)));
+}
+
+/**
+ * Decode an IEEE-11073 32-bit FLOAT.
+ *
+ * @param {number} raw – uint32
+ * @returns {number|null} – null for NaN / NRes / ±INF / reserved
+ */
+function decodeFloat(raw) {
+    let mantissa = raw & 0xFFFFFF;
+    if (mantissa >= 0x7FFFFE && mantissa <= 0x800002) return null;
+    let exponent = raw >>> 24;
+    if (mantissa >= 0x800000) mantissa -= 0x1000000;
+    if (exponent >= 0x80) exponent -= 0x100;
+    return Number((mantissa * 10 ** exponent).toFixed(Math.max(0, -exponent)));
+}
+
+/**
+ * Encode a number as IEEE-11073 SFLOAT / FLOAT with the smallest exponent
+ * (= highest precision) whose mantissa fits.
+ *
+ * @param {number} value
+ * @param {number} bits – 16 (SFLOAT) or 32 (FLOAT)
+ * @returns {number} raw value
+ */
+function encodeIeee11073(value, bits) {
+    const mantissaBits = bits === 16 ? 12 : 24;
+    const exponentBits = bits - mantissaBits;
+    // Keep clear of the reserved special values at the top of the range
+    const maxMantissa = 2 ** (mantissaBits - 1) - 3;
+    const minExp = -(2 ** (exponentBits - 1));
+    const maxExp = 2 ** (exponentBits - 1) - 1;
+
+    for (let exponent = Math.max(minExp, -8); exponent <= maxExp; exponent++) {
+        const mantissa = Math.round(value / 10 ** exponent);
+        if (Math.abs(mantissa) <= maxMantissa) {
+            const m = mantissa < 0 ? mantissa + 2 ** mantissaBits : mantissa;
+            const e = exponent < 0 ? exponent + 2 ** exponentBits : exponent;
+            return (e * 2 ** mantissaBits) + m;
+        }
+    }
+    throw new Error(`${value} is out of range for ${bits === 16 ? 'SFLOAT' : 'FLOAT'}`);
+}
+
+/**
+ * Read the raw value of a format from a buffer.
+ *
+ * @param {Buffer} buf
+ * @param {string} format – format name (see FORMATS)
+ * @param {number} [offset]
+ * @returns {number|boolean|string|null}
+ */
+function readFormat(buf, format, offset = 0) {
+    switch (format) {
+        case 'boolean': return (buf[offset] & 0x01) === 1;
+        case 'uint2': return buf[offset] & 0x03;
+        case 'uint4': return buf[offset] & 0x0F;
+        case 'uint8': return buf.readUInt8(offset);
+        case 'uint12': return buf.readUInt16LE(offset) & 0x0FFF;
+        case 'uint16': return buf.readUInt16LE(offset);
+        case 'uint24': return buf.readUIntLE(offset, 3);
+        case 'uint32': return buf.readUInt32LE(offset);
+        case 'uint48': return buf.readUIntLE(offset, 6);
+        case 'uint64': return Number(buf.readBigUInt64LE(offset));
+        case 'sint8': return buf.readInt8(offset);
+        case 'sint12': {
+            const v = buf.readUInt16LE(offset) & 0x0FFF;
+            return v >= 0x0800 ? v - 0x1000 : v;
+        }
+        case 'sint16': return buf.readInt16LE(offset);
+        case 'sint24': return buf.readIntLE(offset, 3);
+        case 'sint32': return buf.readInt32LE(offset);
+        case 'sint48': return buf.readIntLE(offset, 6);
+        case 'sint64': return Number(buf.readBigInt64LE(offset));
+        case 'float32': return buf.readFloatLE(offset);
+        case 'float64': return buf.readDoubleLE(offset);
+        case 'sfloat': return decodeSfloat(buf.readUInt16LE(offset));
+        case 'float': return decodeFloat(buf.readUInt32LE(offset));
+        case 'utf8s': return buf.subarray(offset).toString('utf8').replace(/\0+$/, '');
+        case 'utf16s': return buf.subarray(offset).toString('utf16le').replace(/\0+$/, '');
+        default: return buf.subarray(offset).toString('hex');
+    }
+}
+
+/**
+ * Write a raw value in a format.
+ *
+ * @param {string} format
+ * @param {number|boolean|string} raw
+ * @returns {Buffer}
+ */
+function writeFormat(format, raw) {
+    const entry = Object.values(FORMATS).find(([name]) => name === format);
+    const buf = Buffer.alloc(entry ? entry[1] : 0);
+
+    switch (format) {
+        case 'boolean': buf.writeUInt8(raw ? 1 : 0); return buf;
+        case 'uint2':
+        case 'uint4':
+        case 'uint8': buf.writeUInt8(raw); return buf;
+        case 'uint12':
+        case 'uint16': buf.writeUInt16LE(raw); return buf;
+        case 'uint24': buf.writeUIntLE(raw, 0, 3); return buf;
+        case 'uint32': buf.writeUInt32LE(raw); return buf;
+        case 'uint48': buf.writeUIntLE(raw, 0, 6); return buf;
+        case 'uint64': buf.writeBigUInt64LE(BigInt(raw)); return buf;
+        case 'sint8': buf.writeInt8(raw); return buf;
+        case 'sint12': buf.writeUInt16LE(raw < 0 ? raw + 0x1000 : raw); return buf;
+        case 'sint16': buf.writeInt16LE(raw); return buf;
+        case 'sint24': buf.writeIntLE(raw, 0, 3); return buf;
+        case 'sint32': buf.writeInt32LE(raw); return buf;
+        case 'sint48': buf.writeIntLE(raw, 0, 6); return buf;
+        case 'sint64': buf.writeBigInt64LE(BigInt(raw)); return buf;
+        case 'float32': buf.writeFloatLE(raw); return buf;
+        case 'float64': buf.writeDoubleLE(raw); return buf;
+        case 'sfloat': buf.writeUInt16LE(encodeIeee11073(raw, 16)); return buf;
+        case 'float': buf.writeUInt32LE(encodeIeee11073(raw, 32)); return buf;
+        case 'utf8s': return Buffer.from(String(raw), 'utf8');
+        case 'utf16s': return Buffer.from(String(raw), 'utf16le');
+        default: return Buffer.from(String(raw), 'hex');
+    }
+}
+
+/**
+ * Format a date/time structure (year uint16, month, day, hours, minutes,
+ * seconds) as ISO-8601 local time, e.g. "2026-03-01T12:30:00".
+ *
+ * @param {Buffer} buf
+ * @returns {string|null}
+ */
+function decodeDateTime(buf) {
+    if (buf.length < 7) return null;
+    const pad = n => String(n).padStart(2, '0');
+    return `${buf.readUInt16LE(0)}-${pad(buf[2])}-${pad(buf[3])}T${pad(buf[4])}:${pad(buf[5])}:${pad(buf[6])}`;
+}
+
+/**
+ * Health Thermometer temperature measurement: flags + FLOAT, bit 0 of the
+ * flags = Fahrenheit. Always returned in °C, the unit of the state.
+ *
+ * @param {Buffer} buf
+ * @returns {number|null}
+ */
+function decodeTemperatureMeasurement(buf) {
+    if (buf.length < 5) return null;
+    const value = decodeFloat(buf.readUInt32LE(1));
+    if (!(buf[0] & 0x01) || !Number.isFinite(value)) return value;
+    return Number(((value - 32) * 5 / 9).toFixed(2));
+}
+
+/**
+ * Heart Rate Measurement: flags bit 0 = uint16 value instead of uint8.
+ *
+ * @param {Buffer} buf
+ * @returns {number|null}
+ */
+function decodeHeartRate(buf) {
+    if (buf.length < 2) return null;
+    return buf[0] & 0x01 ? (buf.length >= 3 ? buf.readUInt16LE(1) : null) : buf[1];
+}
+
+/**
+ * Weight Measurement: flags bit 0 = imperial (0.01 lb), otherwise 0.005 kg.
+ * Always returned in kg, the unit of the state.
+ *
+ * @param {Buffer} buf
+ * @returns {number|null}
+ */
+function decodeWeight(buf) {
+    if (buf.length < 3) return null;
+    const raw = buf.readUInt16LE(1);
+    return buf[0] & 0x01 ? Number((raw * 0.01 * 0.45359237).toFixed(3)) : Number((raw * 0.005).toFixed(3));
+}
+
+/**
+ * Well-known characteristics by 16-bit UUID.
+ * `static` values don't change while a device keeps its GATT database.
+ * @type {Record<string, object>}
+ */
+const CHARACTERISTICS = {
+    '2a00': { name: 'Device name', type: 'string', role: 'info.name', format: 'utf8s', static: true },
+    '2a01': { name: 'Appearance', type: 'number', role: 'value', format: 'uint16', static: true },
+    '2a07': { name: 'TX power level', type: 'number', unit: 'dBm', role: 'value', format: 'sint8' },
+    '2a08': { name: 'Date time', type: 'string', role: 'date', decode: decodeDateTime },
+    '2a19': { name: 'Battery level', type: 'number', unit: '%', role: 'value.battery', format: 'uint8' },
+    '2a1c': { name: 'Temperature measurement', type: 'number', unit: '°C', role: 'value.temperature', decode: decodeTemperatureMeasurement },
+    '2a1e': { name: 'Intermediate temperature', type: 'number', unit: '°C', role: 'value.temperature', decode: decodeTemperatureMeasurement },
+    '2a1f': { name: 'Temperature', type: 'number', unit: '°C', role: 'value.temperature', format: 'sint16', exponent: -1 },
+    '2a24': { name: 'Model number', type: 'string', role: 'text', format: 'utf8s', static: true },
+    '2a25': { name: 'Serial number', type: 'string', role: 'text', format: 'utf8s', static: true },
+    '2a26': { name: 'Firmware revision', type: 'string', role: 'text', format: 'utf8s', static: true },
+    '2a27': { name: 'Hardware revision', type: 'string', role: 'text', format: 'utf8s', static: true },
+    '2a28': { name: 'Software revision', type: 'string', role: 'text', format: 'utf8s', static: true },
+    '2a29': { name: 'Manufacturer name', type: 'string', role: 'text', format: 'utf8s', static: true },
+    '2a2b': { name: 'Current time', type: 'string', role: 'date', decode: decodeDateTime },
+    '2a37': { name: 'Heart rate', type: 'number', unit: 'bpm', role: 'value', decode: decodeHeartRate },
+    '2a6c': { name: 'Elevation', type: 'number', unit: 'm', role: 'value', format: 'sint24', exponent: -2 },
+    '2a6d': { name: 'Pressure', type: 'number', unit: 'hPa', role: 'value.pressure', format: 'uint32', exponent: -3 },
+    '2a6e': { name: 'Temperature', type: 'number', unit: '°C', role: 'value.temperature', format: 'sint16', exponent: -2 },
+    '2a6f': { name: 'Humidity', type: 'number', unit: '%', role: 'value.humidity', format: 'uint16', exponent: -2 },
+    '2a76': { name: 'UV index', type: 'number', role: 'value', format: 'uint8' },
+    '2a77': { name: 'Irradiance', type: 'number', unit: 'W/m²', role: 'value', format: 'uint16', exponent: -1 },
+    '2a7b': { name: 'Dew point', type: 'number', unit: '°C', role: 'value.temperature', format: 'sint8' },
+    '2a9d': { name: 'Weight', type: 'number', unit: 'kg', role: 'value', decode: decodeWeight },
+    '2afb': { name: 'Illuminance', type: 'number', unit: 'lux', role: 'value.brightness', format: 'uint24', exponent: -2 },
+};
+
+/**
+ * Extract the 16-bit UUID of a SIG characteristic (Bluetooth Base UUID).
+ *
+ * @param {string} uuid – short or full 128-bit UUID
+ * @returns {string|null} – e.g. "2a19", null for vendor UUIDs
+ */
+function shortUuid(uuid) {
+    const hex = String(uuid || '').toLowerCase().replace(/-/g, '');
+    if (hex.length === 4) return hex;
+    if (hex.length === 32 && hex.startsWith('0000') && hex.endsWith('00001000800000805f9b34fb')) return hex.slice(4, 8);
+    return null;
+}
+
+/**
+ * Spec of a well-known characteristic.
+ *
+ * @param {string} uuid
+ * @returns {object|null}
+ */
+function getCharacteristicSpec(uuid) {
+    const short = shortUuid(uuid);
+    return short && CHARACTERISTICS[short] ? { sig: short, ...CHARACTERISTICS[short] } : null;
+}
+
+/**
+ * Build a spec from a Characteristic Presentation Format descriptor value.
+ *
+ * @param {Buffer} buf – 7-byte descriptor value
+ * @returns {{type: string, unit: string, role: string, format: string, exponent: number}|null}
+ */
+function parsePresentationFormat(buf) {
+    if (!Buffer.isBuffer(buf) || buf.length < 4 || !FORMATS[buf[0]]) return null;
+
+    const format = FORMATS[buf[0]][0];
+    const unit = UNITS[buf.readUInt16LE(2)] ?? '';
+    let type = 'number';
+    if (format === 'boolean') type = 'boolean';
+    else if (format === 'utf8s' || format === 'utf16s' || format === 'struct') type = 'string';
+
+    return {
+        type,
+        unit,
+        role: type === 'number' ? UNIT_ROLES[unit] || 'value' : type === 'boolean' ? 'indicator' : 'text',
+        format,
+        exponent: buf.readInt8(1),
+    };
+}
+
+/**
+ * Decode a characteristic value with a spec.
+ *
+ * @param {object} spec
+ * @param {Buffer} buf
+ * @returns {number|boolean|string|null} – null if the value is too short or "unknown"
+ */
+function decodeValue(spec, buf) {
+    try {
+        if (spec.decode) return spec.decode(buf);
+
+        const raw = readFormat(buf, spec.format);
+        if (typeof raw !== 'number' || !spec.exponent) return raw;
+        return Number((raw * 10 ** spec.exponent).toFixed(Math.max(0, -spec.exponent)));
+    } catch (_) {
+        // Shorter than the format
+        return null;
+    }
+}
+
+/**
+ * Encode a state value with a spec (inverse of decodeValue()). Specs with
+ * their own encode() (codecs, see lib/characteristicCodecs.js) use that.
+ *
+ * @param {object} spec
+ * @param {*} value
+ * @returns {Buffer|null} – null if the spec can't be written (structured characteristics)
+ */
+function encodeValue(spec, value) {
+    if (spec.encode) return spec.encode(value);
+    if (spec.decode || !spec.format) return null;
+    if (spec.type === 'number') {
+        const num = Number(value);
+        if (!Number.isFinite(num)) throw new Error(`${value} is not a number`);
+        const scaled = spec.exponent ? num / 10 ** spec.exponent : num;
+        const isFloat = ['float32', 'float64', 'sfloat', 'float'].includes(spec.format);
+        return writeFormat(spec.format, isFloat ? scaled : Math.round(scaled));
+    }
+    return writeFormat(spec.format, spec.type === 'boolean' ? !!value : value);
+}
+
+module.exports = {
+    CHARACTERISTICS,
+    FORMATS,
+    UNITS,
+    shortUuid,
+    getCharacteristicSpec,
+    parsePresentationFormat,
+    decodeValue,
+    encodeValue,
+    readFormat,
+    writeFormat,
+};
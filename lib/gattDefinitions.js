@@ -0,0 +1,397 @@
+'use strict';
+
+/**
+ * GattDefinitionRegistry – device definitions that map the GATT
+ * characteristics of well-known devices to friendly states.
+ *
+ * Without a definition a connected device only gets the raw
+ * `services.<uuid>.<uuid>` tree. A definition adds a `sensors` and a
+ * `controls` channel with named, typed states – next to the raw tree or
+ * instead of it. Definitions live in lib/devices/; every *.js or *.json
+ * file there is loaded and may contain one definition or an array.
+ *
+ *   {
+ *     name:         'miflora',                 // unique id
+ *     title:        'Xiaomi Mi Flora',         // optional, shown in logs
+ *     namePattern:  /^Flower (care|mate)$/i,   // match the advertised name (RegExp; string in JSON) …
+ *     companyIds:   [0x038f],                  // … the manufacturer data company ID …
+ *     serviceUuids: ['1204'],                  // … advertised or discovered services (all needed) …
+ *     addresses:    ['AA-BB-CC-DD-EE-FF'],     // … and/or device MACs – every given matcher must match
+ *     rawTree:      true,                      // keep services.* as well (default true)
+ *     init: [                                  // run after connecting, before the first reads
+ *       { char: '1a00', value: 'a01f' },       // write: hex string, byte array or Buffer
+ *       { delay: 200 },                        // wait (ms)
+ *     ],
+ *     sensors: [                               // read-only states in the sensors channel
+ *       { id: 'temperature', char: '1a01', codec: 's16le', offset: 0, scale: 0.1,
+ *         unit: '°C', role: 'value.temperature' },
+ *       { id: 'firmware', char: '1a02', type: 'string', decode: buf => buf.toString('utf8', 2) },
+ *     ],
+ *     controls: [                              // writable states in the controls channel
+ *       { id: 'power', char: 'fff3', codec: 'bool', role: 'switch' },
+ *       { id: 'mode', char: 'fff4', type: 'number', states: { 0: 'eco', 1: 'boost' },
+ *         write: val => Buffer.from([0x55, val]) },
+ *     ],
+ *     transactions: {                          // request/response exchanges, run via sendTo 'transaction'
+ *       getStatus: { write: 'fff5', response: 'fff6', value: 'aa01', prefix: 'aa81',
+ *         codec: 'u8', offset: 2, timeout: 3000 },
+ *       setTarget: { write: 'fff5', response: 'fff6', request: t => Buffer.from([0xaa, 0x02, t * 2]),
+ *         match: (buf, t) => buf[1] === 0x82, decode: buf => buf[2] / 2 },
+ *     },
+ *   }
+ *
+ * `char` is a 16-bit or full characteristic UUID, `service` optionally
+ * narrows it down to one service. Values are decoded with a codec of
+ * lib/characteristicCodecs.js (`codec`, `scale`, `params`) starting at
+ * `offset`, or by `decode(buffer)`; controls are encoded with the same
+ * codec or by `write(value)` → Buffer. Several entries may share a
+ * characteristic: it is read once and every entry takes its part.
+ *
+ * A transaction writes `value` (or `request(params)`) to `write` and waits
+ * for the next notification of `response` (default: the written
+ * characteristic) that starts with `prefix` or passes `match(buffer,
+ * params)`. The response is decoded like a sensor. Raw transactions sent
+ * via sendTo use the same fields without the functions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCodec } = require('./characteristicCodecs');
+
+/** Bluetooth Base UUID suffix for 16-bit UUIDs */
+const BASE_UUID_SUFFIX = '00001000800000805f9b34fb';
+
+/** Default roles per value type */
+const DEFAULT_ROLES = {
+    number: 'value',
+    boolean: 'indicator',
+    string: 'text',
+};
+
+/**
+ * Full UUID without dashes, lower case: '1a01' → '00001a0100001000800000805f9b34fb'.
+ *
+ * @param {string} uuid
+ * @returns {string}
+ */
+function fullUuid(uuid) {
+    const hex = String(uuid || '').trim().toLowerCase().replace(/-/g, '');
+    if (hex.length === 4) return `0000${hex}${BASE_UUID_SUFFIX}`;
+    if (hex.length === 8) return `${hex}${BASE_UUID_SUFFIX}`;
+    return hex;
+}
+
+/**
+ * Hex string ("a0 1f", "a0:1f"), byte array or Buffer → Buffer.
+ *
+ * @param {string|Array<number>|Buffer} value
+ * @returns {Buffer}
+ * @throws {Error} on an invalid hex string
+ */
+function toBuffer(value) {
+    if (typeof value !== 'string') return Buffer.from(value);
+    const hex = value.replace(/[\s:-]/g, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) throw new Error(`${value} is not a hex string`);
+    return Buffer.from(hex, 'hex');
+}
+
+class GattDefinitionRegistry {
+
+    /**
+     * @param {object} [opts]
+     * @param {{debug: Function, warn: Function}} [opts.log] – adapter logger
+     */
+    constructor(opts = {}) {
+        this.log = opts.log || { debug() {}, warn() {} };
+
+        /** @type {Array<object>} */
+        this.definitions = [];
+    }
+
+    /**
+     * Register a definition.
+     *
+     * @param {object} definition – see module description
+     * @throws {Error} if the definition is invalid or its name is already taken
+     */
+    register(definition) {
+        if (!definition || typeof definition.name !== 'string') {
+            throw new Error('Device definition needs a name');
+        }
+        const { name } = definition;
+        if (!definition.namePattern && !definition.companyIds && !definition.serviceUuids && !definition.addresses) {
+            throw new Error(`Device definition ${name} has no matcher (namePattern, companyIds, serviceUuids or addresses)`);
+        }
+        if (this.definitions.some(d => d.name === name)) {
+            throw new Error(`Device definition ${name} is already registered`);
+        }
+
+        const entries = [
+            ...(definition.sensors || []).map(e => this._normaliseEntry(name, e, false)),
+            ...(definition.controls || []).map(e => this._normaliseEntry(name, e, true)),
+        ];
+        if (entries.length === 0) throw new Error(`Device definition ${name} has no sensors or controls`);
+
+        const ids = new Set();
+        for (const entry of entries) {
+            const key = `${entry.channel}.${entry.id}`;
+            if (ids.has(key)) throw new Error(`Device definition ${name}: duplicate state ${key}`);
+            ids.add(key);
+        }
+
+        const namePattern = typeof definition.namePattern === 'string'
+            ? new RegExp(definition.namePattern, 'i')
+            : definition.namePattern || null;
+
+        this.definitions.push({
+            name,
+            title: definition.title || name,
+            namePattern,
+            companyIds: definition.companyIds || null,
+            serviceUuids: definition.serviceUuids ? definition.serviceUuids.map(fullUuid) : null,
+            addresses: definition.addresses ? definition.addresses.map(a => a.toUpperCase().replace(/:/g, '-')) : null,
+            rawTree: definition.rawTree !== false,
+            init: (definition.init || []).map(step => this._normaliseStep(name, step)),
+            entries,
+            transactions: Object.fromEntries(Object.entries(definition.transactions || {}).map(([txName, tx]) => {
+                try {
+                    return [txName, GattDefinitionRegistry.normaliseTransaction(tx)];
+                } catch (e) {
+                    throw new Error(`Device definition ${name}: transaction ${txName}: ${e.message}`);
+                }
+            })),
+        });
+    }
+
+    /**
+     * Register every definition file in a directory (*.js, *.json, sorted by
+     * file name). Broken files are skipped with a warning.
+     *
+     * @param {string} dir
+     */
+    loadDirectory(dir) {
+        let files;
+        try {
+            files = fs.readdirSync(dir).filter(f => f.endsWith('.js') || f.endsWith('.json')).sort();
+        } catch (e) {
+            this.log.warn(`Cannot read device definition directory ${dir}: ${e.message}`);
+            return;
+        }
+
+        for (const file of files) {
+            try {
+                const exported = require(path.resolve(dir, file));
+                for (const definition of Array.isArray(exported) ? exported : [exported]) {
+                    this.register(definition);
+                }
+            } catch (e) {
+                this.log.warn(`Device definition ${file} not loaded: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Find the definition of a connected device.
+     *
+     * @param {object} device
+     * @param {string} device.mac – ioBroker device ID (MAC with dashes)
+     * @param {string} [device.name]
+     * @param {Buffer|null} [device.manufacturerData] – company ID (uint16 LE) + payload
+     * @param {string[]} [device.uuids] – advertised service UUIDs
+     * @param {Array<{uuid: string}>} servicesInfo – discovered services
+     * @returns {object|null}
+     */
+    match(device, servicesInfo) {
+        const mfr = Buffer.isBuffer(device.manufacturerData) && device.manufacturerData.length >= 2
+            ? device.manufacturerData
+            : null;
+        const companyId = mfr ? mfr.readUInt16LE(0) : null;
+        const uuids = new Set([
+            ...(device.uuids || []).map(fullUuid),
+            ...(servicesInfo || []).map(svc => fullUuid(svc.uuid)),
+        ]);
+
+        return this.definitions.find(def => {
+            if (def.namePattern && !def.namePattern.test(device.name || '')) return false;
+            if (def.companyIds && !def.companyIds.includes(companyId)) return false;
+            if (def.serviceUuids && !def.serviceUuids.every(u => uuids.has(u))) return false;
+            if (def.addresses && !def.addresses.includes(device.mac)) return false;
+            return true;
+        }) || null;
+    }
+
+    /**
+     * Look up a definition by name.
+     *
+     * @param {string} name
+     * @returns {object|null}
+     */
+    get(name) {
+        return this.definitions.find(d => d.name === name) || null;
+    }
+
+    /**
+     * Discovered characteristic an entry or init step refers to.
+     *
+     * @param {Array<{uuid: string, characteristics: Array<{uuid: string}>}>} servicesInfo
+     * @param {{char: string, service: string|null}} ref – normalised entry or init step
+     * @returns {{svc: object, ch: object}|null}
+     */
+    static findCharacteristic(servicesInfo, ref) {
+        for (const svc of servicesInfo || []) {
+            if (ref.service && fullUuid(svc.uuid) !== ref.service) continue;
+            const ch = svc.characteristics.find(c => fullUuid(c.uuid) === ref.char);
+            if (ch) return { svc, ch };
+        }
+        return null;
+    }
+
+    /**
+     * Normalise a transaction of a definition or a raw sendTo request.
+     *
+     * @param {object} tx – { write, response?, service?, value | request(params), prefix | match(buf, params),
+     *                      codec?, offset?, scale?, params?, decode(buf)?, timeout? }
+     * @returns {{write: string, response: string, service: string|null, encode: (params: *) => Buffer,
+     *            match: ((buf: Buffer, params: *) => boolean)|null, timeout: number|undefined,
+     *            codec: object|null, decodeFn: Function|null, offset: number}}
+     * @throws {Error} if the transaction is invalid
+     */
+    static normaliseTransaction(tx) {
+        if (!tx || !tx.write) throw new Error('write characteristic missing');
+
+        let encode;
+        if (typeof tx.request === 'function') {
+            encode = params => Buffer.from(tx.request(params));
+        } else if (tx.value !== undefined) {
+            const value = toBuffer(tx.value);
+            encode = () => value;
+        } else {
+            throw new Error('value or request() missing');
+        }
+
+        let match = null;
+        if (typeof tx.match === 'function') {
+            match = tx.match;
+        } else if (tx.prefix) {
+            const prefix = toBuffer(tx.prefix);
+            match = buf => buf.subarray(0, prefix.length).equals(prefix);
+        }
+
+        const codecConfig = typeof tx.codec === 'object' ? tx.codec : { codec: tx.codec, scale: tx.scale, params: tx.params };
+        const codec = tx.codec ? createCodec(codecConfig) : null;
+        if (tx.codec && !codec) throw new Error(`unknown codec ${JSON.stringify(tx.codec)}`);
+
+        const timeout = Number(tx.timeout);
+        return {
+            write: fullUuid(tx.write),
+            response: fullUuid(tx.response || tx.write),
+            service: tx.service ? fullUuid(tx.service) : null,
+            encode,
+            match,
+            timeout: timeout > 0 ? timeout : undefined,
+            codec,
+            decodeFn: typeof tx.decode === 'function' ? tx.decode : null,
+            offset: Number(tx.offset) || 0,
+        };
+    }
+
+    /**
+     * Decode the value of an entry from its characteristic's value.
+     *
+     * @param {object} entry – normalised entry
+     * @param {Buffer} buffer
+     * @returns {*} value, null if it cannot be decoded
+     */
+    static decode(entry, buffer) {
+        try {
+            if (entry.decodeFn) return entry.decodeFn(buffer) ?? null;
+            if (entry.codec) return entry.codec.decode(buffer.subarray(entry.offset)) ?? null;
+        } catch (_) { /* too short or malformed */ }
+        return null;
+    }
+
+    /**
+     * Encode a control value.
+     *
+     * @param {object} entry – normalised entry
+     * @param {*} value
+     * @returns {Buffer}
+     * @throws {Error} if the control has no way to encode
+     */
+    static encode(entry, value) {
+        if (entry.writeFn) return Buffer.from(entry.writeFn(value));
+        if (entry.codec) return entry.codec.encode(value);
+        throw new Error(`Control ${entry.id} has neither a codec nor a write converter`);
+    }
+
+    // ─── Private ────────────────────────────────────────────────────
+
+    /**
+     * @private
+     */
+    _normaliseEntry(defName, entry, writable) {
+        if (!entry || typeof entry.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(entry.id) || entry.id === 'read') {
+            throw new Error(`Device definition ${defName}: invalid state id ${entry && entry.id}`);
+        }
+        if (!entry.char) throw new Error(`Device definition ${defName}: ${entry.id} needs a char`);
+
+        const codec = entry.codec
+            ? createCodec(typeof entry.codec === 'object'
+                ? entry.codec
+                : { codec: entry.codec, scale: entry.scale, params: entry.params, unit: entry.unit })
+            : null;
+        if (entry.codec && !codec) throw new Error(`Device definition ${defName}: unknown codec of ${entry.id}`);
+        if (!codec && typeof entry.decode !== 'function' && !(writable && typeof entry.write === 'function')) {
+            throw new Error(`Device definition ${defName}: ${entry.id} needs a codec or decode()`);
+        }
+
+        const type = entry.type || (codec && codec.type) || 'string';
+        return {
+            id: entry.id,
+            channel: writable ? 'controls' : 'sensors',
+            writable,
+            char: fullUuid(entry.char),
+            service: entry.service ? fullUuid(entry.service) : null,
+            offset: entry.offset || 0,
+            codec,
+            decodeFn: typeof entry.decode === 'function' ? entry.decode : null,
+            writeFn: typeof entry.write === 'function' ? entry.write : null,
+            common: {
+                name: entry.name,
+                type,
+                role: entry.role || this._defaultRole(codec, type, writable),
+                unit: entry.unit || (codec && codec.unit) || undefined,
+                min: entry.min,
+                max: entry.max,
+                states: entry.states,
+                read: entry.role !== 'button',
+                write: writable,
+            },
+        };
+    }
+
+    /**
+     * Codec roles are made for writable states (bool → switch); sensors get read-only roles.
+     * @private
+     */
+    _defaultRole(codec, type, writable) {
+        if (writable) return (codec && codec.role) || 'state';
+        if (type === 'boolean') return 'indicator';
+        return (codec && codec.role) || DEFAULT_ROLES[type] || 'state';
+    }
+
+    /**
+     * @private
+     */
+    _normaliseStep(defName, step) {
+        if (step && typeof step.delay === 'number') return { delay: step.delay };
+        if (!step || !step.char || step.value === undefined) {
+            throw new Error(`Device definition ${defName}: init steps need char and value, or delay`);
+        }
+        return { char: fullUuid(step.char), service: step.service ? fullUuid(step.service) : null, value: toBuffer(step.value) };
+    }
+}
+
+GattDefinitionRegistry.fullUuid = fullUuid;
+
+module.exports = GattDefinitionRegistry;
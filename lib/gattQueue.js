@@ -0,0 +1,269 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * GattQueue – serializes GATT operations per device in front of BluezManager.
+ *
+ * BlueZ rejects a second operation on a device while one is pending
+ * ("In Progress"), and cheap peripherals handle concurrent requests badly.
+ * Every read, write and notification setup therefore goes through one queue
+ * per device (keyed by the device object path) and runs only after the
+ * previous operation has finished or timed out.
+ *
+ * Operations are ordered by priority (user actions before setup before
+ * polling) and FIFO within a priority. Transient errors are retried.
+ *
+ * The methods mirror BluezManager's GATT API, with an extra options argument:
+ *   { priority, timeout, retries }
+ *
+ * @emits depth (devicePath, depth) – number of queued + running operations changed
+ */
+
+/** Operation priorities, lower runs first */
+const PRIORITY = {
+    USER: 0,
+    NORMAL: 1,
+    POLL: 2,
+};
+
+/** Errors worth retrying: the device or BlueZ was busy */
+const TRANSIENT_ERROR = /InProgress|In Progress|already in progress|busy|Resource temporarily unavailable/i;
+
+class GattQueue extends EventEmitter {
+
+    /**
+     * @param {object} opts
+     * @param {import('./bluezManager')} opts.bluez
+     * @param {object} opts.log
+     * @param {number} [opts.timeout=10000]  – per-operation timeout (ms)
+     * @param {number} [opts.retries=2]      – retries for transient errors
+     * @param {number} [opts.retryDelay=500] – delay before a retry (ms), doubled per attempt
+     */
+    constructor(opts) {
+        super();
+        this.bluez = opts.bluez;
+        this.log = opts.log;
+        this.timeout = opts.timeout ?? 10000;
+        this.retries = opts.retries ?? 2;
+        this.retryDelay = opts.retryDelay ?? 500;
+
+        /**
+         * Device path → pending operations + running flag
+         * @type {Map<string, {items: Array<object>, running: boolean}>}
+         */
+        this._queues = new Map();
+    }
+
+    // ─── BluezManager GATT API ──────────────────────────────────────
+
+    /**
+     * @param {string} charPath
+     * @param {object} [opts] – { priority, timeout, retries }
+     * @returns {Promise<Buffer>}
+     */
+    readCharacteristic(charPath, opts) {
+        return this.run(charPath, () => this.bluez.readCharacteristic(charPath), { label: 'read', ...opts });
+    }
+
+    /**
+     * @param {string} charPath
+     * @param {Buffer} value
+     * @param {object} [options] – BlueZ write options ({ type })
+     * @param {object} [opts]    – { priority, timeout, retries }
+     * @returns {Promise<void>}
+     */
+    writeCharacteristic(charPath, value, options = {}, opts) {
+        return this.run(charPath, () => this.bluez.writeCharacteristic(charPath, value, options), {
+            label: 'write', priority: PRIORITY.USER, ...opts,
+        });
+    }
+
+    /**
+     * @param {string} charPath
+     * @param {Function} handler
+     * @param {object} [opts]
+     * @returns {Promise<void>}
+     */
+    startNotify(charPath, handler, opts) {
+        return this.run(charPath, () => this.bluez.startNotify(charPath, handler), { label: 'startNotify', ...opts });
+    }
+
+    /**
+     * @param {string} charPath
+     * @param {object} [opts]
+     * @returns {Promise<void>}
+     */
+    stopNotify(charPath, opts) {
+        return this.run(charPath, () => this.bluez.stopNotify(charPath), { label: 'stopNotify', ...opts });
+    }
+
+    /**
+     * @param {string} descPath
+     * @param {object} [opts]
+     * @returns {Promise<Buffer>}
+     */
+    readDescriptor(descPath, opts) {
+        return this.run(descPath, () => this.bluez.readDescriptor(descPath), { label: 'readDescriptor', ...opts });
+    }
+
+    /**
+     * @param {string} descPath
+     * @param {Buffer} value
+     * @param {object} [opts]
+     * @returns {Promise<void>}
+     */
+    writeDescriptor(descPath, value, opts) {
+        return this.run(descPath, () => this.bluez.writeDescriptor(descPath, value), {
+            label: 'writeDescriptor', priority: PRIORITY.USER, ...opts,
+        });
+    }
+
+    // ─── Queue ──────────────────────────────────────────────────────
+
+    /**
+     * Queue an operation on the device owning a GATT object path.
+     *
+     * @param {string} gattPath – characteristic/descriptor (or device) object path
+     * @param {() => Promise<*>} fn
+     * @param {object} [opts]
+     * @param {number} [opts.priority=PRIORITY.NORMAL]
+     * @param {number} [opts.timeout]
+     * @param {number} [opts.retries]
+     * @param {string} [opts.label] – for log messages
+     * @returns {Promise<*>}
+     */
+    run(gattPath, fn, opts = {}) {
+        const devicePath = GattQueue.devicePath(gattPath);
+        let queue = this._queues.get(devicePath);
+        if (!queue) {
+            queue = { items: [], running: false };
+            this._queues.set(devicePath, queue);
+        }
+
+        return new Promise((resolve, reject) => {
+            const item = {
+                fn, resolve, reject,
+                priority: opts.priority ?? PRIORITY.NORMAL,
+                timeout: opts.timeout ?? this.timeout,
+                retries: opts.retries ?? this.retries,
+                label: `${opts.label || 'operation'} ${gattPath}`,
+            };
+
+            // Behind everything with the same or a higher priority
+            const index = queue.items.findIndex(other => other.priority > item.priority);
+            if (index === -1) queue.items.push(item);
+            else queue.items.splice(index, 0, item);
+
+            this._emitDepth(devicePath, queue);
+            this._next(devicePath, queue);
+        });
+    }
+
+    /**
+     * Number of queued + running operations of a device.
+     *
+     * @param {string} devicePath
+     * @returns {number}
+     */
+    depth(devicePath) {
+        const queue = this._queues.get(devicePath);
+        return queue ? queue.items.length + (queue.running ? 1 : 0) : 0;
+    }
+
+    /**
+     * Reject all queued operations of a device (e.g. after a disconnect).
+     * A running operation finishes on its own.
+     *
+     * @param {string} devicePath
+     * @param {string} [reason]
+     */
+    clear(devicePath, reason = 'Device disconnected') {
+        const queue = this._queues.get(devicePath);
+        if (!queue) return;
+
+        const items = queue.items.splice(0);
+        for (const item of items) item.reject(new Error(reason));
+        this._emitDepth(devicePath, queue);
+        if (!queue.running) this._queues.delete(devicePath);
+    }
+
+    /**
+     * Device object path of a GATT object path:
+     * /org/bluez/hci0/dev_AA_BB_…/service000c/char000d → /org/bluez/hci0/dev_AA_BB_…
+     *
+     * @param {string} gattPath
+     * @returns {string}
+     */
+    static devicePath(gattPath) {
+        const match = String(gattPath).match(/^(.*\/dev_[0-9A-Fa-f_]{17})/);
+        return match ? match[1] : gattPath;
+    }
+
+    // ─── Private ────────────────────────────────────────────────────
+
+    /**
+     * Start the next operation if the device is idle.
+     * @private
+     */
+    async _next(devicePath, queue) {
+        if (queue.running || queue.items.length === 0) return;
+
+        const item = queue.items.shift();
+        queue.running = true;
+
+        try {
+            item.resolve(await this._execute(item));
+        } catch (e) {
+            item.reject(e);
+        }
+
+        queue.running = false;
+        this._emitDepth(devicePath, queue);
+        if (queue.items.length > 0) {
+            this._next(devicePath, queue);
+        } else {
+            this._queues.delete(devicePath);
+        }
+    }
+
+    /**
+     * Run an operation with timeout and retries.
+     * @private
+     */
+    async _execute(item) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._withTimeout(item.fn(), item.timeout, item.label);
+            } catch (e) {
+                if (attempt >= item.retries || !TRANSIENT_ERROR.test(e.message || '')) throw e;
+
+                const delay = this.retryDelay * 2 ** attempt;
+                this.log.debug(`${item.label} failed (${e.message}), retry ${attempt + 1}/${item.retries} in ${delay} ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _withTimeout(promise, timeoutMs, label) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs} ms`)), timeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * @private
+     */
+    _emitDepth(devicePath, queue) {
+        this.emit('depth', devicePath, queue.items.length + (queue.running ? 1 : 0));
+    }
+}
+
+GattQueue.PRIORITY = PRIORITY;
+
+module.exports = GattQueue;
@@ -0,0 +1,262 @@
+'use strict';
+
+const { PRIORITY } = require('./connectionManager');
+
+/**
+ * GattSessionScheduler – "periodic session" mode for battery-powered GATT
+ * sensors (Mi Flora, LYWSD03MMC with stock firmware, …).
+ *
+ * Instead of keeping the device connected, every N minutes (plus a random
+ * jitter, so several sensors don't wake up together) a session:
+ *
+ *   1. connects and discovers the services,
+ *   2. optionally writes a preparatory value (e.g. the Mi Flora mode change
+ *      0x0033 ← a01f before its realtime data can be read),
+ *   3. reads the configured characteristics (all readable ones by default)
+ *      into their states, without subscriptions or polling,
+ *   4. disconnects – also when the maximum session time is exceeded.
+ *
+ * Waiting for a connection slot does not count towards the session time.
+ *
+ * Settings come from the device's allowlist entry:
+ *   sessionInterval – minutes between sessions (0 = off, keep connected)
+ *   sessionRead     – characteristic UUIDs to read, e.g. "1a01, 1a02" (empty = all)
+ *   sessionWrite    – preparatory write "uuid=hex", e.g. "1a00=a01f"
+ *
+ * States per device: info.lastSession, info.nextSession (ISO timestamps).
+ */
+
+class GattSessionScheduler {
+
+    /**
+     * @param {object} opts
+     * @param {import('@iobroker/adapter-core').AdapterInstance} opts.adapter
+     * @param {import('./bluezManager')} opts.bluez
+     * @param {import('./connectionManager')} opts.connections
+     * @param {import('./deviceManager')} opts.deviceMgr
+     * @param {number} [opts.jitterMs=30000]      – maximum random delay added to each interval
+     * @param {number} [opts.maxSessionMs=60000]  – sessions are aborted after this time
+     */
+    constructor(opts) {
+        this.adapter = opts.adapter;
+        this.bluez = opts.bluez;
+        this.connections = opts.connections;
+        this.deviceMgr = opts.deviceMgr;
+        this.jitterMs = opts.jitterMs ?? 30000;
+        this.maxSessionMs = opts.maxSessionMs ?? 60000;
+
+        /**
+         * Device id → schedule
+         * @type {Map<string, {intervalMs: number, read: string[], write: {uuid: string, value: Buffer}|null,
+         *        timer: NodeJS.Timeout|null, running: boolean}>}
+         */
+        this._sessions = new Map();
+    }
+
+    /**
+     * Session interval of an allowlist entry in minutes (0 = no session mode).
+     *
+     * @param {object} [settings] – allowlist entry
+     * @returns {number}
+     */
+    static interval(settings) {
+        return Math.max(0, Number(settings && settings.sessionInterval) || 0);
+    }
+
+    /**
+     * Whether a device uses session mode.
+     *
+     * @param {string} devId
+     * @returns {boolean}
+     */
+    has(devId) {
+        return this._sessions.has(devId);
+    }
+
+    /**
+     * Start the schedule of a device. The first session runs after the jitter.
+     *
+     * @param {string} devId
+     * @param {object} settings – allowlist entry (sessionInterval, sessionRead, sessionWrite)
+     */
+    async start(devId, settings) {
+        this.stop(devId);
+
+        const minutes = GattSessionScheduler.interval(settings);
+        if (minutes <= 0) return;
+
+        const session = {
+            intervalMs: minutes * 60000,
+            read: String(settings.sessionRead || '').split(',').map(u => this._normaliseUuid(u)).filter(Boolean),
+            write: this._parseWrite(devId, settings.sessionWrite),
+            timer: null,
+            running: false,
+        };
+        this._sessions.set(devId, session);
+
+        await this._ensureStates(devId);
+        await this._schedule(devId, session, Math.random() * this.jitterMs);
+        this.adapter.log.info(`${devId}: session mode, every ${minutes} min`);
+    }
+
+    /**
+     * Stop the schedule of a device.
+     * @param {string} devId
+     */
+    stop(devId) {
+        const session = this._sessions.get(devId);
+        if (!session) return;
+        if (session.timer) clearTimeout(session.timer);
+        this._sessions.delete(devId);
+    }
+
+    /**
+     * Stop all schedules.
+     */
+    stopAll() {
+        for (const devId of [...this._sessions.keys()]) this.stop(devId);
+    }
+
+    /**
+     * Run one session now (also used by the timer).
+     *
+     * @param {string} devId
+     * @returns {Promise<boolean>} true if the session succeeded
+     */
+    async run(devId) {
+        const session = this._sessions.get(devId);
+        if (!session || session.running) return false;
+        session.running = true;
+
+        const mac = devId.replace(/-/g, ':');
+        const devicePath = this.bluez.macToDevicePath(mac);
+        const device = this.bluez.getDevice(mac);
+        // Someone else (e.g. a control write) holds the connection – leave it open
+        const wasConnected = !!(device && device.connected);
+
+        // Set when the session is over, so a late-returning step of an aborted session stops
+        const attempt = { aborted: false };
+        let timer = null;
+        let ok = false;
+        try {
+            if (!wasConnected) {
+                await this.connections.connect(mac, PRIORITY.SESSION);
+                await this.adapter.setStateAsync(`${devId}.info.connected`, true, true);
+            }
+
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`session exceeded ${this.maxSessionMs / 1000} s`)), this.maxSessionMs);
+            });
+            await Promise.race([this._session(devId, devicePath, session, attempt), timeout]);
+
+            ok = true;
+            await this.adapter.setStateAsync(`${devId}.info.lastSession`, { val: new Date().toISOString(), ack: true });
+            this.adapter.log.debug(`${devId}: session finished`);
+        } catch (e) {
+            this.adapter.log.warn(`${devId}: session failed: ${e.message}`);
+        } finally {
+            clearTimeout(timer);
+            attempt.aborted = true;
+            try {
+                if (!wasConnected) {
+                    try {
+                        await this.connections.disconnect(mac);
+                    } catch (e) {
+                        this.adapter.log.debug(`${devId}: session disconnect failed: ${e.message}`);
+                    }
+                    await this.deviceMgr.setDisconnected(devId);
+                }
+            } catch (e) {
+                this.adapter.log.warn(`${devId}: session cleanup failed: ${e.message}`);
+            } finally {
+                // Always – a session left running blocks every further one
+                session.running = false;
+            }
+        }
+
+        if (this._sessions.get(devId) === session) {
+            await this._schedule(devId, session, session.intervalMs + Math.random() * this.jitterMs);
+        }
+        return ok;
+    }
+
+    // ─── Private ────────────────────────────────────────────────────
+
+    /**
+     * Discover, prepare, read.
+     * @private
+     */
+    async _session(devId, devicePath, session, attempt) {
+        const services = await this.bluez.discoverServices(devicePath);
+        if (attempt.aborted) return;
+
+        if (session.write) {
+            const ch = services
+                .flatMap(svc => svc.characteristics)
+                .find(c => this._normaliseUuid(c.uuid) === session.write.uuid);
+            if (!ch) throw new Error(`characteristic ${session.write.uuid} for the preparatory write not found`);
+            await this.deviceMgr.gatt.writeCharacteristic(ch.path, session.write.value, { type: 'request' });
+            if (attempt.aborted) return;
+        }
+
+        const read = session.read.length > 0
+            ? uuid => session.read.includes(this._normaliseUuid(uuid))
+            : () => true;
+        await this.deviceMgr.buildCharacteristicTree(devId, services, { read, subscribe: false, poll: false });
+    }
+
+    /**
+     * Arm the timer and publish info.nextSession.
+     * @private
+     */
+    async _schedule(devId, session, delayMs) {
+        if (session.timer) clearTimeout(session.timer);
+        session.timer = setTimeout(() => {
+            this.run(devId).catch(e => this.adapter.log.warn(`${devId}: session failed: ${e.message}`));
+        }, delayMs);
+        await this.adapter.setStateAsync(`${devId}.info.nextSession`, {
+            val: new Date(Date.now() + delayMs).toISOString(),
+            ack: true,
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _ensureStates(devId) {
+        for (const [id, name] of [['lastSession', 'Last successful session'], ['nextSession', 'Next session']]) {
+            await this.adapter.setObjectNotExistsAsync(`${devId}.info.${id}`, {
+                type: 'state',
+                common: { name, type: 'string', role: 'date', read: true, write: false },
+                native: {},
+            });
+        }
+    }
+
+    /**
+     * Same short form as the characteristic ids in the object tree.
+     * @private
+     */
+    _normaliseUuid(uuid) {
+        const hex = String(uuid || '').trim().toLowerCase().replace(/-/g, '');
+        return hex.length === 32 ? hex.slice(4, 8) : hex;
+    }
+
+    /**
+     * Parse "uuid=hex".
+     * @private
+     */
+    _parseWrite(devId, spec) {
+        if (!spec || !String(spec).trim()) return null;
+
+        const [uuid, hex = ''] = String(spec).split('=').map(s => s.trim());
+        const clean = hex.replace(/[\s:-]/g, '');
+        if (!uuid || !/^([0-9a-fA-F]{2})+$/.test(clean)) {
+            this.adapter.log.warn(`${devId}: invalid preparatory write "${spec}", expected uuid=hex`);
+            return null;
+        }
+        return { uuid: this._normaliseUuid(uuid), value: Buffer.from(clean, 'hex') };
+    }
+}
+
+module.exports = GattSessionScheduler;
@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * manufacturerParser.js – vendor decoders for BLE manufacturer specific data.
+ *
+ * Many cheap sensors don't use BTHome but put their readings into the
+ * manufacturer data (AD type 0xFF). A decoder is selected by company ID and,
+ * where the company ID is not reliable, by a pattern on the advertised name.
+ *
+ * Supported devices:
+ *   Govee H5072/H5075  – company 0xEC88, 6 byte payload, packed temperature/humidity
+ *   Govee H5074        – company 0xEC88, 7 byte payload
+ *   Govee H5179        – company 0x8801, 11 byte payload
+ *   Inkbird IBS-TH1/TH2 – name "sps"/"tps", temperature in the company ID field
+ *   RuuviTag           – company 0x0499, data format 5 (RAWv2)
+ *
+ * The models are registered as advertisement decoders by
+ * lib/decoders/manufacturer.js, one channel per vendor.
+ *
+ * @see https://github.com/Bluetooth-Devices/govee-ble
+ * @see https://github.com/Bluetooth-Devices/inkbird-ble
+ * @see https://docs.ruuvi.com/communication/bluetooth-advertisements/data-format-5-rawv2
+ */
+
+/**
+ * Build a value entry like the BTHome parser does.
+ *
+ * @param {string} name
+ * @param {number} value
+ * @param {string} unit
+ * @param {string} role
+ * @returns {{name: string, value: number, unit: string, role: string}}
+ */
+function entry(name, value, unit, role) {
+    return { name, value, unit, role };
+}
+
+/**
+ * Round to a fixed number of decimals without floating point artifacts.
+ *
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+function round(value, decimals) {
+    return Number(value.toFixed(decimals));
+}
+
+/**
+ * Govee H5072/H5075: temperature and humidity packed into one 24-bit value.
+ *
+ * @param {Buffer} data – payload without company ID
+ * @returns {Array|null}
+ */
+function parseGoveeH5075(data) {
+    const packed = data.readUIntBE(1, 3);
+    const negative = !!(packed & 0x800000);
+    const value = packed & 0x7FFFFF;
+    const temperature = Math.floor(value / 1000) / 10;
+
+    return [
+        entry('temperature', negative ? -temperature : temperature, '°C', 'value.temperature'),
+        entry('humidity', round((value % 1000) / 10, 1), '%', 'value.humidity'),
+        entry('battery', data.readUInt8(4) & 0x7F, '%', 'value.battery'),
+    ];
+}
+
+/**
+ * Govee H5074 (offset 1) and H5179 (offset 6): int16 temperature, uint16
+ * humidity (both 0.01) and battery, little-endian.
+ *
+ * @param {Buffer} data – payload without company ID
+ * @param {number} offset
+ * @returns {Array|null}
+ */
+function parseGoveeLE(data, offset) {
+    return [
+        entry('temperature', round(data.readInt16LE(offset) / 100, 2), '°C', 'value.temperature'),
+        entry('humidity', round(data.readUInt16LE(offset + 2) / 100, 2), '%', 'value.humidity'),
+        entry('battery', data.readUInt8(offset + 4), '%', 'value.battery'),
+    ];
+}
+
+/**
+ * Inkbird IBS-TH1 ("sps") / IBS-TH2 ("tps"). The first two bytes – normally
+ * the company ID – hold the temperature.
+ *
+ * @param {Buffer} full – manufacturer data including the "company ID"
+ * @param {boolean} withHumidity – false for the temperature-only IBS-TH2
+ * @returns {Array|null}
+ */
+function parseInkbird(full, withHumidity) {
+    const values = [
+        entry('temperature', round(full.readInt16LE(0) / 100, 2), '°C', 'value.temperature'),
+    ];
+    if (withHumidity) {
+        values.push(entry('humidity', round(full.readUInt16LE(2) / 100, 2), '%', 'value.humidity'));
+    }
+    values.push(entry('external_probe', full.readUInt8(4) === 1, '', 'indicator'));
+    values.push(entry('battery', full.readUInt8(7), '%', 'value.battery'));
+    return values;
+}
+
+/**
+ * RuuviTag data format 5 (RAWv2), big-endian. Fields holding their "invalid"
+ * marker are left out.
+ *
+ * @param {Buffer} data – payload without company ID
+ * @returns {Array|null}
+ */
+function parseRuuviV5(data) {
+    if (data.readUInt8(0) !== 0x05) return null;
+
+    const values = [];
+    const temperature = data.readInt16BE(1);
+    if (temperature !== -0x8000) {
+        values.push(entry('temperature', round(temperature * 0.005, 3), '°C', 'value.temperature'));
+    }
+    const humidity = data.readUInt16BE(3);
+    if (humidity !== 0xFFFF) {
+        values.push(entry('humidity', round(humidity * 0.0025, 4), '%', 'value.humidity'));
+    }
+    const pressure = data.readUInt16BE(5);
+    if (pressure !== 0xFFFF) {
+        values.push(entry('pressure', round((pressure + 50000) / 100, 2), 'hPa', 'value.pressure'));
+    }
+    for (const [axis, offset] of [['x', 7], ['y', 9], ['z', 11]]) {
+        const acc = data.readInt16BE(offset);
+        if (acc !== -0x8000) {
+            values.push(entry(`acceleration_${axis}`, round(acc / 1000, 3), 'g', 'value'));
+        }
+    }
+    const power = data.readUInt16BE(13);
+    if ((power >> 5) !== 0x7FF) {
+        values.push(entry('voltage', round(((power >> 5) + 1600) / 1000, 3), 'V', 'value.voltage'));
+    }
+    if ((power & 0x1F) !== 0x1F) {
+        values.push(entry('tx_power', (power & 0x1F) * 2 - 40, 'dBm', 'value'));
+    }
+    const movement = data.readUInt8(15);
+    if (movement !== 0xFF) {
+        values.push(entry('movement_counter', movement, '', 'value'));
+    }
+    const sequence = data.readUInt16BE(16);
+    if (sequence !== 0xFFFF) {
+        values.push(entry('sequence', sequence, '', 'value'));
+    }
+    return values;
+}
+
+/**
+ * Supported models. A model matches if its company ID matches (when given),
+ * the name matches (when given) and the payload has the expected length.
+ *
+ * @type {Array<{vendor: string, model: string, companyId?: number, namePattern?: RegExp, length: number,
+ *               parse: (data: Buffer, full: Buffer) => Array|null}>}
+ */
+const DECODERS = [
+    {
+        vendor: 'govee', model: 'H5072/H5075', companyId: 0xEC88, length: 6,
+        parse: data => parseGoveeH5075(data),
+    },
+    {
+        vendor: 'govee', model: 'H5074', companyId: 0xEC88, length: 7,
+        parse: data => parseGoveeLE(data, 1),
+    },
+    {
+        vendor: 'govee', model: 'H5179', companyId: 0x8801, length: 11,
+        parse: data => parseGoveeLE(data, 6),
+    },
+    {
+        vendor: 'inkbird', model: 'IBS-TH1', namePattern: /^sps$/i, length: 7,
+        parse: (data, full) => parseInkbird(full, true),
+    },
+    {
+        vendor: 'inkbird', model: 'IBS-TH2', namePattern: /^tps$/i, length: 7,
+        parse: (data, full) => parseInkbird(full, false),
+    },
+    {
+        vendor: 'ruuvi', model: 'RuuviTag', companyId: 0x0499, length: 24,
+        parse: data => parseRuuviV5(data),
+    },
+];
+
+module.exports = {
+    DECODERS,
+};
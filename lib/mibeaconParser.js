@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * mibeaconParser.js – Xiaomi MiBeacon parser for BLE service data (UUID 0xFE95).
+ *
+ * MiBeacon is sent by Xiaomi/Mijia sensors (LYWSD02, Mi Flora, CGG1, door and
+ * motion sensors, …). Versions 2–5 share the same frame layout:
+ *
+ *   Byte 0-1:  Frame control (uint16 LE)
+ *              - Bit 3:     Encrypted
+ *              - Bit 4:     MAC included
+ *              - Bit 5:     Capability included
+ *              - Bit 6:     Object included
+ *              - Bit 12-15: Version
+ *   Byte 2-3:  Product ID (uint16 LE)
+ *   Byte 4:    Frame counter
+ *   [6 bytes]  MAC (reversed)         – if "MAC included"
+ *   [1 byte]   Capability             – if "Capability included"
+ *   [2 bytes]  I/O capability         – if capability bit 5 is set
+ *   Objects:   Object ID (uint16 LE) + length (1) + value
+ *
+ * Encrypted v4/v5 frames (AES-128-CCM, 4-byte MIC):
+ *   Objects are encrypted, followed by ext. counter (3) + MIC (4)
+ *   Nonce: MAC (6, reversed) + Product ID (2) + Frame counter (1) + Ext. counter (3)
+ *   AAD:   0x11
+ *
+ * The legacy v2/v3 encryption (12-byte keys) is not supported.
+ *
+ * @see https://iot.mi.com/new/doc/accesses/direct-access/embedded-development/ble/object-definition
+ */
+
+const { parseKey, macToBytes, decryptAesCcm } = require('./bleCrypto');
+
+/** MiBeacon service UUID */
+const MIBEACON_SERVICE_UUID = 'fe95';
+
+/** Frame control flags */
+const FLAG_ENCRYPTED = 0x0008;
+const FLAG_MAC = 0x0010;
+const FLAG_CAPABILITY = 0x0020;
+const FLAG_OBJECT = 0x0040;
+
+/** Ext. counter (3) + MIC (4) appended to an encrypted v4/v5 frame */
+const ENCRYPTION_TRAILER_LENGTH = 7;
+
+/** Button press types of object 0x1001 */
+const BUTTON_EVENTS = {
+    0: 'press',
+    1: 'double_press',
+    2: 'long_press',
+    3: 'triple_press',
+};
+
+/**
+ * Decoders for the common MiBeacon object types.
+ * Each decoder returns a list of { name, value, unit, role } entries, so one
+ * object can produce several values (e.g. 0x100D temperature + humidity).
+ *
+ * @type {Map<number, (buf: Buffer) => Array<{name: string, value: number|boolean|string, unit: string, role: string, event?: boolean}>>}
+ */
+const OBJECT_DECODERS = new Map([
+    // Motion with illuminance (uint24 lux)
+    [0x000F, buf => [
+        { name: 'motion', value: true, unit: '', role: 'sensor.motion' },
+        { name: 'illuminance', value: buf.readUIntLE(0, 3), unit: 'lux', role: 'value.illuminance' },
+    ]],
+    // Button: key index (uint16) + press type (uint8)
+    [0x1001, buf => [
+        { name: 'button', value: BUTTON_EVENTS[buf.readUInt8(2)] || `unknown_${buf.readUInt8(2)}`, unit: '', role: 'state', event: true },
+    ]],
+    [0x1004, buf => [
+        { name: 'temperature', value: Number((buf.readInt16LE(0) * 0.1).toFixed(1)), unit: '°C', role: 'value.temperature' },
+    ]],
+    [0x1006, buf => [
+        { name: 'humidity', value: Number((buf.readUInt16LE(0) * 0.1).toFixed(1)), unit: '%', role: 'value.humidity' },
+    ]],
+    [0x1007, buf => [
+        { name: 'illuminance', value: buf.readUIntLE(0, 3), unit: 'lux', role: 'value.illuminance' },
+    ]],
+    [0x1008, buf => [
+        { name: 'moisture', value: buf.readUInt8(0), unit: '%', role: 'value.moisture' },
+    ]],
+    [0x1009, buf => [
+        { name: 'conductivity', value: buf.readUInt16LE(0), unit: 'µS/cm', role: 'value' },
+    ]],
+    [0x100A, buf => [
+        { name: 'battery', value: buf.readUInt8(0), unit: '%', role: 'value.battery' },
+    ]],
+    [0x100D, buf => [
+        { name: 'temperature', value: Number((buf.readInt16LE(0) * 0.1).toFixed(1)), unit: '°C', role: 'value.temperature' },
+        { name: 'humidity', value: Number((buf.readUInt16LE(2) * 0.1).toFixed(1)), unit: '%', role: 'value.humidity' },
+    ]],
+    [0x1010, buf => [
+        { name: 'formaldehyde', value: Number((buf.readUInt16LE(0) * 0.01).toFixed(2)), unit: 'mg/m³', role: 'value' },
+    ]],
+    // Seconds without motion
+    [0x1017, buf => [
+        { name: 'motion', value: false, unit: '', role: 'sensor.motion' },
+        { name: 'no_motion_time', value: buf.readUInt32LE(0), unit: 's', role: 'value' },
+    ]],
+    // Door: 0 = open, 1 = closed, 2 = not closed after timeout, 3 = device reset
+    [0x1019, buf => {
+        const state = buf.readUInt8(0);
+        return state > 2 ? [] : [{ name: 'door', value: state !== 1, unit: '', role: 'sensor.door' }];
+    }],
+    // Newer (v5) object IDs
+    [0x4803, buf => [
+        { name: 'battery', value: buf.readUInt8(0), unit: '%', role: 'value.battery' },
+    ]],
+    [0x4C01, buf => [
+        { name: 'temperature', value: Number(buf.readFloatLE(0).toFixed(1)), unit: '°C', role: 'value.temperature' },
+    ]],
+    [0x4C02, buf => [
+        { name: 'humidity', value: buf.readUInt8(0), unit: '%', role: 'value.humidity' },
+    ]],
+    [0x4C08, buf => [
+        { name: 'humidity', value: Number(buf.readFloatLE(0).toFixed(1)), unit: '%', role: 'value.humidity' },
+    ]],
+]);
+
+/**
+ * Decode the (decrypted) object list.
+ *
+ * @param {Buffer} buf
+ * @returns {Array<{objectId: number, name: string, value: number|boolean|string, unit: string, role: string, event?: boolean}>}
+ */
+function parseObjects(buf) {
+    const values = [];
+    let offset = 0;
+
+    while (offset + 3 <= buf.length) {
+        const objectId = buf.readUInt16LE(offset);
+        const length = buf.readUInt8(offset + 2);
+        offset += 3;
+        if (offset + length > buf.length) break;
+
+        const value = buf.subarray(offset, offset + length);
+        offset += length;
+
+        const decoder = OBJECT_DECODERS.get(objectId);
+        if (!decoder) continue;
+
+        try {
+            for (const entry of decoder(value)) {
+                values.push({ objectId, ...entry });
+            }
+        } catch (_) {
+            // Value shorter than expected – skip this object
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a MiBeacon service data payload.
+ *
+ * The result uses the shape of parseBTHome(), including the error codes
+ * 'missingKey' and 'decryptFailed'; 'unsupportedEncryption' is returned for
+ * encrypted v2/v3 frames. `counter` is the frame counter, which stays the same
+ * while a frame is repeated.
+ *
+ * @param {Buffer} data – raw service data of UUID 0xFE95
+ * @param {object} [opts]
+ * @param {string} [opts.mac]     – device MAC, used when the frame has none and for decryption
+ * @param {string} [opts.bindKey] – 32 hex chars bind key
+ * @returns {{
+ *   version: number,
+ *   productId: number,
+ *   encrypted: boolean,
+ *   counter: number,
+ *   error: string|null,
+ *   values: Array<{objectId: number, name: string, value: number|boolean|string, unit: string, role: string}>
+ * }|null}
+ */
+function parseMiBeacon(data, opts = {}) {
+    if (!Buffer.isBuffer(data) || data.length < 5) return null;
+
+    const frameControl = data.readUInt16LE(0);
+    const version = frameControl >> 12;
+    const encrypted = !!(frameControl & FLAG_ENCRYPTED);
+    const productId = data.readUInt16LE(2);
+    const counter = data.readUInt8(4);
+
+    if (version < 2 || version > 5) return null;
+
+    const result = { version, productId, encrypted, counter, error: null, values: [] };
+
+    let offset = 5;
+    let mac = macToBytes(opts.mac);
+    if (frameControl & FLAG_MAC) {
+        if (data.length < offset + 6) return null;
+        mac = Buffer.from(data.subarray(offset, offset + 6)).reverse();
+        offset += 6;
+    }
+    if (frameControl & FLAG_CAPABILITY) {
+        if (data.length < offset + 1) return null;
+        const capability = data.readUInt8(offset);
+        offset += (capability & 0x20) ? 3 : 1;
+    }
+
+    // Frames without objects (e.g. pairing beacons) carry no values
+    if (!(frameControl & FLAG_OBJECT)) return result;
+
+    if (!encrypted) {
+        result.values = parseObjects(data.subarray(offset));
+        return result;
+    }
+
+    if (version < 4) {
+        result.error = 'unsupportedEncryption';
+        return result;
+    }
+
+    const key = parseKey(opts.bindKey);
+    if (!key || !mac) {
+        result.error = 'missingKey';
+        return result;
+    }
+    if (data.length < offset + ENCRYPTION_TRAILER_LENGTH + 3) return null;
+
+    const trailer = data.length - ENCRYPTION_TRAILER_LENGTH;
+    const payload = decryptAesCcm({
+        key,
+        nonce: Buffer.concat([Buffer.from(mac).reverse(), data.subarray(2, 5), data.subarray(trailer, trailer + 3)]),
+        ciphertext: data.subarray(offset, trailer),
+        tag: data.subarray(trailer + 3),
+        aad: Buffer.from([0x11]),
+    });
+    if (!payload) {
+        result.error = 'decryptFailed';
+        return result;
+    }
+
+    result.values = parseObjects(payload);
+    return result;
+}
+
+module.exports = {
+    parseMiBeacon,
+    MIBEACON_SERVICE_UUID,
+    OBJECT_DECODERS,
+};
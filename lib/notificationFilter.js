@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * NotificationFilter – limits how often a notifying characteristic updates
+ * its state. Fast peripherals (accelerometers, power meters) notify dozens
+ * of times per second; without a filter every notification is a state write.
+ *
+ * Settings per characteristic (GATT tab "Notification filters" or
+ * `native.notificationFilter` of the characteristic state):
+ *   minInterval – minimum time between two state updates (ms, 0 = no limit)
+ *   deadband    – numbers only: skip updates that differ less than this
+ *                 from the last written value
+ *   aggregate   – value written per interval: 'last' (default), or for
+ *                 numbers 'avg', 'min', 'max' over the interval
+ *
+ * The filter works on decoded values, so deadband and aggregates use the
+ * unit of the state. With 'last' the first value after a quiet period is
+ * written at once and the latest one at the end of the interval; the
+ * aggregates are written at the end of each interval.
+ */
+
+const AGGREGATES = ['last', 'avg', 'min', 'max'];
+
+class NotificationFilter {
+
+    /**
+     * @param {{minInterval: number, deadband: number, aggregate: string}} config – see fromConfig()
+     * @param {(val: any) => void} write – writes the state
+     */
+    constructor(config, write) {
+        this.minInterval = config.minInterval;
+        this.deadband = config.deadband;
+        this.aggregate = config.aggregate;
+        this.write = write;
+
+        this._lastWritten = undefined;
+        this._lastWriteTs = 0;
+        this._pending = undefined;
+        this._hasPending = false;
+        /** Numeric window for avg/min/max */
+        this._window = null;
+        this._timer = null;
+    }
+
+    /**
+     * Normalise a config row; null when it would not filter anything.
+     *
+     * @param {object|null|undefined} config – { minInterval, deadband, aggregate }
+     * @returns {{minInterval: number, deadband: number, aggregate: string}|null}
+     */
+    static fromConfig(config) {
+        if (!config) return null;
+
+        const minInterval = Math.max(0, Number(config.minInterval) || 0);
+        const deadband = Math.max(0, Number(config.deadband) || 0);
+        const aggregate = AGGREGATES.includes(config.aggregate) ? config.aggregate : 'last';
+        if (minInterval === 0 && deadband === 0) return null;
+
+        return { minInterval, deadband, aggregate: minInterval > 0 ? aggregate : 'last' };
+    }
+
+    /**
+     * Feed a decoded value.
+     * @param {any} val
+     */
+    push(val) {
+        if (this.aggregate !== 'last' && typeof val === 'number' && Number.isFinite(val)) {
+            const w = this._window || (this._window = { sum: 0, count: 0, min: val, max: val });
+            w.sum += val;
+            w.count++;
+            w.min = Math.min(w.min, val);
+            w.max = Math.max(w.max, val);
+            if (!this._timer) this._timer = setTimeout(() => this._onTimer(), this.minInterval);
+            return;
+        }
+
+        const wait = this._lastWriteTs + this.minInterval - Date.now();
+        if (!this._timer && wait <= 0) {
+            this._emit(val);
+            return;
+        }
+
+        this._pending = val;
+        this._hasPending = true;
+        if (!this._timer) this._timer = setTimeout(() => this._onTimer(), wait);
+    }
+
+    /**
+     * Write what is still held back (e.g. on disconnect) and stop the timer.
+     */
+    flush() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        this._release();
+    }
+
+    // ─── Private ────────────────────────────────────────────────────
+
+    /**
+     * @private
+     */
+    _onTimer() {
+        this._timer = null;
+        this._release();
+    }
+
+    /**
+     * Emit the aggregate or the held-back value.
+     * @private
+     */
+    _release() {
+        if (this._window) {
+            const w = this._window;
+            this._window = null;
+            const val = this.aggregate === 'min' ? w.min : this.aggregate === 'max' ? w.max : w.sum / w.count;
+            this._emit(Math.round(val * 1e6) / 1e6);
+        }
+        if (this._hasPending) {
+            const val = this._pending;
+            this._pending = undefined;
+            this._hasPending = false;
+            this._emit(val);
+        }
+    }
+
+    /**
+     * Write unless inside the deadband.
+     * @private
+     */
+    _emit(val) {
+        if (this.deadband > 0 && typeof val === 'number' && typeof this._lastWritten === 'number'
+            && Math.abs(val - this._lastWritten) < this.deadband) {
+            return;
+        }
+        this._lastWritten = val;
+        this._lastWriteTs = Date.now();
+        this.write(val);
+    }
+}
+
+NotificationFilter.AGGREGATES = AGGREGATES;
+
+module.exports = NotificationFilter;
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * PacketTracker – detects repeated advertisement packets by their packet id.
+ *
+ * BLE sensors broadcast each measurement several times, BlueZ reports every
+ * copy (DuplicateData) and each satellite forwards its own copy as well. Formats
+ * like BTHome carry a rolling packet id that only changes when the payload
+ * changes, so a packet id seen again within a short window is a duplicate –
+ * no matter which source delivered it.
+ *
+ * Per key (device) the tracker also counts received, duplicate and lost
+ * packets (gaps in the packet id sequence).
+ */
+class PacketTracker {
+
+    /**
+     * @param {object} [opts]
+     * @param {number} [opts.windowMs=10000] – packets with the same id within this window are duplicates
+     * @param {number} [opts.modulo=256]     – packet id wraps around at this value
+     */
+    constructor(opts = {}) {
+        this.windowMs = opts.windowMs ?? 10000;
+        this.modulo = opts.modulo ?? 256;
+
+        /**
+         * key → last packet + counters
+         * @type {Map<string, {packetId: number, time: number, sources: Set<string>, received: number, duplicate: number, lost: number}>}
+         */
+        this._entries = new Map();
+
+        /** Keys whose counters changed since the last takeDirty() */
+        this._dirty = new Set();
+    }
+
+    /**
+     * Check a packet and update the counters.
+     *
+     * @param {string} key       – device id
+     * @param {number} packetId  – rolling packet id
+     * @param {string} [source]  – who delivered the packet ('local', 'satellite:<name>')
+     * @returns {boolean} true if the packet is new, false if it is a duplicate
+     */
+    check(key, packetId, source = 'local') {
+        const now = Date.now();
+        const entry = this._entries.get(key);
+        this._dirty.add(key);
+
+        if (!entry) {
+            this._entries.set(key, {
+                packetId, time: now, sources: new Set([source]), received: 1, duplicate: 0, lost: 0,
+            });
+            return true;
+        }
+
+        if (entry.packetId === packetId && now - entry.time < this.windowMs) {
+            entry.sources.add(source);
+            entry.duplicate++;
+            return false;
+        }
+
+        // Gap in the sequence → packets we never saw. Large jumps (more than
+        // half the id range) are treated as a device restart, not as loss.
+        const gap = (packetId - entry.packetId + this.modulo) % this.modulo - 1;
+        if (gap > 0 && gap < this.modulo / 2) {
+            entry.lost += gap;
+        }
+
+        entry.packetId = packetId;
+        entry.time = now;
+        entry.sources = new Set([source]);
+        entry.received++;
+        return true;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {{received: number, duplicate: number, lost: number, sources: string[]}|null}
+     */
+    getStats(key) {
+        const entry = this._entries.get(key);
+        if (!entry) return null;
+        return {
+            received: entry.received,
+            duplicate: entry.duplicate,
+            lost: entry.lost,
+            sources: [...entry.sources],
+        };
+    }
+
+    /**
+     * Return and reset the set of keys whose counters changed.
+     * @returns {string[]}
+     */
+    takeDirty() {
+        const keys = [...this._dirty];
+        this._dirty.clear();
+        return keys;
+    }
+
+    /** Forget all devices. */
+    clear() {
+        this._entries.clear();
+        this._dirty.clear();
+    }
+}
+
+module.exports = PacketTracker;
@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * payloadTemplate.js – user-defined field layouts for sensors without a decoder.
+ *
+ * The "Payload templates" table in the admin UI describes single fields of a
+ * device's manufacturer data or service data:
+ *
+ *   { mac, source: 'manufacturer'|'service', uuid, byteOffset, type, scale,
+ *     valueOffset, name, unit, role }
+ *
+ * value = raw * scale + valueOffset. For manufacturer data, byteOffset counts
+ * from the first byte after the company ID.
+ *
+ * The rows are turned into advertisement decoders (see lib/decoderRegistry.js),
+ * one per device, writing into the `payload` channel. The decoder reads the
+ * manufacturer data and every service data source of its rows from the same
+ * advertisement.
+ */
+
+/**
+ * Field types: byte length + reader.
+ * @type {Record<string, {length: number, read: (buf: Buffer, offset: number) => number}>}
+ */
+const FIELD_TYPES = {
+    u8:        { length: 1, read: (b, o) => b.readUInt8(o) },
+    s8:        { length: 1, read: (b, o) => b.readInt8(o) },
+    u16le:     { length: 2, read: (b, o) => b.readUInt16LE(o) },
+    u16be:     { length: 2, read: (b, o) => b.readUInt16BE(o) },
+    s16le:     { length: 2, read: (b, o) => b.readInt16LE(o) },
+    s16be:     { length: 2, read: (b, o) => b.readInt16BE(o) },
+    u24le:     { length: 3, read: (b, o) => b.readUIntLE(o, 3) },
+    u24be:     { length: 3, read: (b, o) => b.readUIntBE(o, 3) },
+    s24le:     { length: 3, read: (b, o) => b.readIntLE(o, 3) },
+    s24be:     { length: 3, read: (b, o) => b.readIntBE(o, 3) },
+    u32le:     { length: 4, read: (b, o) => b.readUInt32LE(o) },
+    u32be:     { length: 4, read: (b, o) => b.readUInt32BE(o) },
+    s32le:     { length: 4, read: (b, o) => b.readInt32LE(o) },
+    s32be:     { length: 4, read: (b, o) => b.readInt32BE(o) },
+    float32le: { length: 4, read: (b, o) => b.readFloatLE(o) },
+    float32be: { length: 4, read: (b, o) => b.readFloatBE(o) },
+    bool:      { length: 1, read: (b, o) => b.readUInt8(o) },
+};
+
+/** Channel used for template values */
+const TEMPLATE_CHANNEL = 'payload';
+
+/**
+ * Normalise a MAC to the ioBroker device id format (AA-BB-CC-DD-EE-FF).
+ *
+ * @param {string} mac
+ * @returns {string}
+ */
+function normaliseMac(mac) {
+    return String(mac || '').trim().toUpperCase().replace(/:/g, '-');
+}
+
+/**
+ * Validate and normalise the template rows from the admin table.
+ * Invalid rows (no MAC, unknown type, no name) are dropped.
+ *
+ * @param {Array<object>} rows
+ * @returns {Array<{mac: string, source: string, uuid: string, byteOffset: number, type: string, scale: number,
+ *           valueOffset: number, name: string, unit: string, role: string}>}
+ */
+function normaliseFields(rows) {
+    if (!Array.isArray(rows)) return [];
+
+    return rows
+        .map(row => ({
+            mac: normaliseMac(row.mac),
+            source: row.source === 'service' ? 'service' : 'manufacturer',
+            uuid: String(row.uuid || '').trim().toLowerCase(),
+            byteOffset: Math.max(0, parseInt(row.byteOffset, 10) || 0),
+            type: row.type,
+            scale: Number.isFinite(Number(row.scale)) && row.scale !== '' ? Number(row.scale) : 1,
+            valueOffset: Number(row.valueOffset) || 0,
+            name: String(row.name || '').trim().replace(/[^A-Za-z0-9_-]/g, '_'),
+            unit: row.unit || '',
+            role: row.role || '',
+        }))
+        .filter(f => /^[0-9A-F]{2}(-[0-9A-F]{2}){5}$/.test(f.mac)
+            && FIELD_TYPES[f.type]
+            && f.name
+            && (f.source === 'manufacturer' || f.uuid));
+}
+
+/**
+ * Decode the fields of one template from a payload. Fields beyond the end of
+ * the payload are skipped.
+ *
+ * @param {Buffer} data
+ * @param {Array<object>} fields – normalised fields
+ * @returns {Array<{name: string, value: number|boolean, unit: string, role: string}>}
+ */
+function decodeFields(data, fields) {
+    const values = [];
+
+    for (const field of fields) {
+        const def = FIELD_TYPES[field.type];
+        if (field.byteOffset + def.length > data.length) continue;
+
+        const raw = def.read(data, field.byteOffset);
+        if (field.type === 'bool') {
+            values.push({ name: field.name, value: raw !== 0, unit: '', role: field.role || 'indicator' });
+            continue;
+        }
+
+        // Keep as many decimals as scale and offset have, to avoid float artifacts
+        const decimals = Math.max(
+            ...[field.scale, field.valueOffset].map(n => (String(n).split('.')[1] || '').length),
+            field.type.startsWith('float') ? 2 : 0,
+        );
+        const value = Number((raw * field.scale + field.valueOffset).toFixed(decimals));
+        values.push({ name: field.name, value, unit: field.unit, role: field.role || 'value' });
+    }
+
+    return values;
+}
+
+/**
+ * Group normalised fields by device and data source.
+ *
+ * @param {Array<object>} fields – normalised fields
+ * @returns {Array<{mac: string, source: string, uuid: string, fields: Array<object>}>}
+ */
+function groupFields(fields) {
+    const groups = new Map();
+    for (const field of fields) {
+        const key = `${field.mac}|${field.source}|${field.uuid}`;
+        if (!groups.has(key)) groups.set(key, { mac: field.mac, source: field.source, uuid: field.uuid, fields: [] });
+        groups.get(key).fields.push(field);
+    }
+    return [...groups.values()];
+}
+
+/**
+ * Payload of one data source in an advertisement.
+ *
+ * @param {{source: string, uuid: string}} group
+ * @param {{serviceData?: Array<{uuid: string, data: Buffer}>|null, manufacturerData?: Buffer|null}} adv
+ * @returns {Buffer|null} – service data, or manufacturer data after the company ID
+ */
+function sourceData(group, adv) {
+    if (group.source === 'service') {
+        const entry = (adv.serviceData || []).find(sd => sd.uuid && sd.uuid.toLowerCase() === group.uuid);
+        return entry && Buffer.isBuffer(entry.data) ? entry.data : null;
+    }
+    return Buffer.isBuffer(adv.manufacturerData) && adv.manufacturerData.length >= 2
+        ? adv.manufacturerData.subarray(2)
+        : null;
+}
+
+/**
+ * Turn the template rows into decoders, one per device. A decoder per data
+ * source would share the `payload` channel, and the registry stops at the
+ * first decoder of a channel that returns values.
+ *
+ * @param {Array<object>} rows – admin table rows
+ * @returns {Array<object>} decoders for DecoderRegistry.register()
+ */
+function createTemplateDecoders(rows) {
+    const devices = new Map();
+    for (const group of groupFields(normaliseFields(rows))) {
+        if (!devices.has(group.mac)) devices.set(group.mac, []);
+        devices.get(group.mac).push(group);
+    }
+
+    return [...devices].map(([mac, groups]) => ({
+        name: `template-${mac}`,
+        channel: TEMPLATE_CHANNEL,
+        channelName: 'Payload template data',
+        addresses: [mac],
+        // Matches every advertisement of the device; the sources are picked in decode()
+        test: () => true,
+        decode: input => {
+            const values = [];
+            for (const group of groups) {
+                const data = sourceData(group, input);
+                if (data) values.push(...decodeFields(data, group.fields));
+            }
+            return values.length > 0 ? { values } : null;
+        },
+    }));
+}
+
+/**
+ * Decode the template rows against the last received advertisement of each
+ * device, for the preview in the admin UI.
+ *
+ * @param {Array<object>} rows – admin table rows (not yet saved)
+ * @param {(mac: string) => ({serviceData?: Array<{uuid: string, data: Buffer}>, manufacturerData?: Buffer}|undefined)} getLast
+ * @returns {string} – one line per device and source
+ */
+function previewTemplates(rows, getLast) {
+    const fields = normaliseFields(rows);
+    if (fields.length === 0) return 'No valid template rows';
+
+    const lines = [];
+    for (const group of groupFields(fields)) {
+        const { mac } = group;
+        const source = group.source === 'service' ? `service ${group.uuid}` : 'manufacturer';
+        const last = getLast(mac);
+        const data = last ? sourceData(group, last) : null;
+
+        if (!data) {
+            lines.push(`${mac} (${source}): no packet received yet`);
+            continue;
+        }
+        const values = decodeFields(data, group.fields);
+        const text = values.length > 0
+            ? values.map(v => `${v.name} = ${v.value}${v.unit ? ' ' + v.unit : ''}`).join(', ')
+            : 'payload too short';
+        lines.push(`${mac} (${source}) [${data.toString('hex')}]: ${text}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    FIELD_TYPES,
+    TEMPLATE_CHANNEL,
+    createTemplateDecoders,
+    decodeFields,
+    previewTemplates,
+};
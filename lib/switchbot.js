@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * switchbot.js – SwitchBot advertisements and GATT command frames.
+ *
+ * Advertisement: service data 0xFD3D (0x0D00 on older firmware).
+ *   Byte 0:   device type (bits 0-6, ASCII), e.g. 'H' Bot, 'c' Curtain
+ *   Byte 1-…: device specific, see MODELS below
+ * Newer meters put temperature/humidity into the manufacturer data of
+ * company 0x0969 (bytes 8-10 after the company ID) instead.
+ *
+ * Commands are written to the vendor characteristic
+ * cba20002-224d-11e6-9fb8-0002a5d5c51b (service cba20d00-…) as
+ * 0x57 + command bytes. Devices with a password are not supported.
+ *
+ * @see https://github.com/OpenWonderLabs/SwitchBotAPI-BLE
+ * @see https://github.com/sblibs/pySwitchbot
+ */
+
+/** Service data UUIDs */
+const SWITCHBOT_SERVICE_UUIDS = ['fd3d', '0d00'];
+
+/** Manufacturer data company ID (Woan Technology) */
+const SWITCHBOT_COMPANY_ID = 0x0969;
+
+/** Command characteristic (write) */
+const SWITCHBOT_COMMAND_UUID = 'cba20002-224d-11e6-9fb8-0002a5d5c51b';
+
+/**
+ * Temperature/humidity of meters: 3 bytes from service data (offset 3) or
+ * manufacturer data.
+ *
+ * @param {Buffer} buf
+ * @returns {Array}
+ */
+function parseClimate(buf) {
+    const sign = buf[1] & 0x80 ? 1 : -1;
+    return [
+        { name: 'temperature', value: Number((sign * ((buf[1] & 0x7F) + (buf[0] & 0x0F) / 10)).toFixed(1)), unit: '°C', role: 'value.temperature' },
+        { name: 'humidity', value: buf[2] & 0x7F, unit: '%', role: 'value.humidity' },
+    ];
+}
+
+/**
+ * Models by device type byte.
+ * `length` is the minimum service data length, `controls` the commands the
+ * model accepts (see buildCommand()).
+ *
+ * @type {Record<number, {model: string, length: number, controls?: string[],
+ *        parse: (data: Buffer, mfr: Buffer|null) => Array}>}
+ */
+const MODELS = {
+    // Meter, Meter Plus, Outdoor Meter
+    0x54: { model: 'meter', length: 6, parse: (data, mfr) => parseClimate(mfr || data.subarray(3, 6)) },
+    0x69: { model: 'meter', length: 6, parse: (data, mfr) => parseClimate(mfr || data.subarray(3, 6)) },
+    0x77: { model: 'meter', length: 3, parse: (data, mfr) => (mfr ? parseClimate(mfr) : []) },
+    // Contact sensor
+    0x64: {
+        model: 'contact', length: 9,
+        parse: data => [
+            // "Open for too long" is reported as open as well
+            { name: 'open', value: !!(data[3] & 0x06), role: 'sensor.door' },
+            { name: 'open_timeout', value: !!(data[3] & 0x04), role: 'indicator' },
+            { name: 'motion', value: !!(data[1] & 0x40), role: 'sensor.motion' },
+            { name: 'light', value: !!(data[3] & 0x01), role: 'indicator' },
+            { name: 'button_count', value: data[8] & 0x0F, role: 'value' },
+        ],
+    },
+    // Motion sensor
+    0x73: {
+        model: 'motion', length: 6,
+        parse: data => [
+            { name: 'motion', value: !!(data[1] & 0x40), role: 'sensor.motion' },
+            { name: 'light', value: !!(data[5] & 0x02), role: 'indicator' },
+        ],
+    },
+    // Bot
+    0x48: {
+        model: 'bot', length: 3, controls: ['press', 'on', 'off'],
+        parse: data => {
+            const switchMode = !!(data[1] & 0x80);
+            return [
+                { name: 'switch_mode', value: switchMode, role: 'indicator' },
+                // Only meaningful in switch mode
+                { name: 'on', value: switchMode && !(data[1] & 0x40), role: 'indicator' },
+            ];
+        },
+    },
+    // Curtain, Curtain 3
+    0x63: {
+        model: 'curtain', length: 5, controls: ['open', 'close', 'stop', 'position'],
+        parse: data => [
+            // Device reports 0 = open; states use 100 = open like level.blind
+            { name: 'position', value: 100 - Math.min(data[3] & 0x7F, 100), unit: '%', role: 'value.blind' },
+            { name: 'moving', value: !!(data[3] & 0x80), role: 'indicator' },
+            { name: 'calibrated', value: !!(data[1] & 0x40), role: 'indicator' },
+            { name: 'light_level', value: data[4] >> 4, role: 'value' },
+        ],
+    },
+};
+MODELS[0x7B] = MODELS[0x63];
+
+/**
+ * Parse a SwitchBot advertisement.
+ *
+ * @param {Buffer} data – service data (0xFD3D / 0x0D00)
+ * @param {Buffer|null} [manufacturerData] – company ID + payload, if present
+ * @returns {{model: string, controls: string[], values: Array<{name: string, value: *, unit?: string, role: string}>}|null}
+ */
+function parseSwitchBot(data, manufacturerData) {
+    if (!Buffer.isBuffer(data) || data.length < 1) return null;
+
+    const def = MODELS[data[0] & 0x7F];
+    if (!def || data.length < def.length) return null;
+
+    const mfr = Buffer.isBuffer(manufacturerData) && manufacturerData.length >= 13
+        && manufacturerData.readUInt16LE(0) === SWITCHBOT_COMPANY_ID
+        ? manufacturerData.subarray(10, 13)
+        : null;
+
+    const values = [];
+    if (data.length >= 3) {
+        values.push({ name: 'battery', value: data[2] & 0x7F, unit: '%', role: 'value.battery' });
+    }
+    values.push(...def.parse(data, mfr));
+
+    return { model: def.model, controls: def.controls || [], values };
+}
+
+/**
+ * Build the command frame for a control state.
+ *
+ * @param {string} control – 'press' | 'on' | 'off' | 'open' | 'close' | 'stop' | 'position'
+ * @param {*} [value] – target position 0–100 (100 = open) for 'position'
+ * @returns {Buffer|null}
+ */
+function buildCommand(control, value) {
+    switch (control) {
+        case 'press': return Buffer.from([0x57, 0x01, 0x00]);
+        case 'on': return Buffer.from([0x57, 0x01, 0x01]);
+        case 'off': return Buffer.from([0x57, 0x01, 0x02]);
+        case 'open': return Buffer.from([0x57, 0x0F, 0x45, 0x01, 0x05, 0xFF, 0x00]);
+        case 'close': return Buffer.from([0x57, 0x0F, 0x45, 0x01, 0x05, 0xFF, 0x64]);
+        case 'stop': return Buffer.from([0x57, 0x0F, 0x45, 0x01, 0x00, 0x01]);
+        case 'position': {
+            const position = Number(value);
+            if (!Number.isFinite(position)) return null;
+            const raw = 100 - Math.round(Math.min(Math.max(position, 0), 100));
+            return Buffer.from([0x57, 0x0F, 0x45, 0x01, 0x05, 0xFF, raw]);
+        }
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    parseSwitchBot,
+    buildCommand,
+    SWITCHBOT_SERVICE_UUIDS,
+    SWITCHBOT_COMPANY_ID,
+    SWITCHBOT_COMMAND_UUID,
+};
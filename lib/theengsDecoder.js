@@ -0,0 +1,409 @@
+'use strict';
+
+/**
+ * theengsDecoder.js – engine for Theengs Decoder device definitions.
+ *
+ * The Theengs project (https://decoder.theengs.io) describes BLE advertisement
+ * formats declaratively as JSON:
+ *
+ *   {
+ *     "brand": "Xiaomi", "model": "LYWSD03MMC", "model_id": "LYWSD03MMC_ATC",
+ *     "condition": ["servicedata", "=", 26, "&", "uuid", "index", 0, "181a"],
+ *     "properties": {
+ *       "tempc": {
+ *         "decoder": ["value_from_hex_data", "servicedata", 12, 4, false, true],
+ *         "post_proc": ["/", 10]
+ *       },
+ *       …
+ *     }
+ *   }
+ *
+ * All positions and lengths count hex characters (nibbles) of the hex string
+ * of the data; manufacturer data includes the company ID.
+ *
+ * Supported condition terms (combined left to right with "&" / "|", "(" ")"
+ * for grouping):
+ *   <source> "=" | "!=" | ">=" | "<=" | ">" | "<" <number>  – length of the hex string
+ *   <source> "index" <pos> ["!"] "<hex>"                   – substring at pos (not) equal
+ *   <source> "contain" ["!"] "<text>"                      – contains (not)
+ *   <source> <pos> ["!"] "<hex>"                           – short form of "index" (property conditions)
+ * Sources: servicedata, manufacturerdata, name, uuid / servicedatauuid.
+ *
+ * Supported property decoders: value_from_hex_data, bf_value_from_hex_data,
+ * string_from_hex_data, static_value. post_proc supports / * + - % > < & ^ |
+ * (with operand) and ! abs round (without).
+ *
+ * Definitions are read from *.json files, or directly from the *_json.h
+ * headers of the TheengsDecoder repository (src/devices/), including the
+ * *_json_props strings with units.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Well-known Theengs property keys → state name, unit, role.
+ * Unknown keys are used as state name as they are.
+ */
+const COMMON_PROPERTIES = {
+    tempc:  { name: 'temperature',  unit: '°C',     role: 'value.temperature' },
+    tempc2: { name: 'temperature_2', unit: '°C',    role: 'value.temperature' },
+    tempc3: { name: 'temperature_3', unit: '°C',    role: 'value.temperature' },
+    tempc4: { name: 'temperature_4', unit: '°C',    role: 'value.temperature' },
+    hum:    { name: 'humidity',     unit: '%',      role: 'value.humidity' },
+    batt:   { name: 'battery',      unit: '%',      role: 'value.battery' },
+    volt:   { name: 'voltage',      unit: 'V',      role: 'value.voltage' },
+    pres:   { name: 'pressure',     unit: 'hPa',    role: 'value.pressure' },
+    lux:    { name: 'illuminance',  unit: 'lux',    role: 'value.illuminance' },
+    moi:    { name: 'moisture',     unit: '%',      role: 'value.moisture' },
+    fer:    { name: 'conductivity', unit: 'µS/cm',  role: 'value' },
+    pm25:   { name: 'pm25',         unit: 'µg/m³',  role: 'value' },
+    pm10:   { name: 'pm10',         unit: 'µg/m³',  role: 'value' },
+    co2:    { name: 'co2',          unit: 'ppm',    role: 'value.co2' },
+    weight: { name: 'weight',       unit: 'kg',     role: 'value' },
+    motion: { name: 'motion',       unit: '',       role: 'sensor.motion' },
+    open:   { name: 'open',         unit: '',       role: 'sensor.door' },
+};
+
+/** Property keys not written as states (duplicates or metadata) */
+const SKIPPED_PROPERTIES = new Set(['mac', 'rssi', 'tempf', 'tempf2', 'tempf3', 'tempf4', 'device', 'model', 'brand']);
+
+/** Comparison operators on the hex string length */
+const LENGTH_OPS = {
+    '=': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b,
+};
+
+/**
+ * Extract the JSON string literals of a TheengsDecoder device header.
+ * `const char* _X_json = "…";` and `const char* _X_json_props = "…";`
+ *
+ * @param {string} source – header file content
+ * @returns {{definitions: object[], props: object[]}}
+ */
+function parseHeader(source) {
+    const definitions = [];
+    const props = [];
+    const re = /const\s+char\s*\*\s*(\w+)\s*=\s*((?:"(?:[^"\\]|\\.)*"\s*)+);/g;
+    let m;
+    while ((m = re.exec(source)) !== null) {
+        // Adjacent C string literals are concatenated
+        const text = [...m[2].matchAll(/"((?:[^"\\]|\\.)*)"/g)]
+            .map(part => JSON.parse(`"${part[1].replace(/\\'/g, '\'')}"`))
+            .join('');
+        try {
+            const json = JSON.parse(text);
+            (m[1].endsWith('_props') ? props : definitions).push(json);
+        } catch (_) {
+            // Not a JSON literal
+        }
+    }
+    return { definitions, props };
+}
+
+/**
+ * Load all definitions from a directory (*.json and *_json.h files).
+ *
+ * @param {string} dir
+ * @param {{warn: Function}} [log]
+ * @returns {object[]} – definitions with `_props` merged in
+ */
+function loadDefinitions(dir, log) {
+    const result = [];
+    let files;
+    try {
+        files = fs.readdirSync(dir).sort();
+    } catch (e) {
+        if (log) log.warn(`Cannot read Theengs definitions from ${dir}: ${e.message}`);
+        return result;
+    }
+
+    for (const file of files) {
+        const full = path.join(dir, file);
+        try {
+            if (file.endsWith('.json')) {
+                const json = JSON.parse(fs.readFileSync(full, 'utf8'));
+                for (const def of Array.isArray(json) ? json : [json]) {
+                    if (def && def.condition && def.properties) result.push(def);
+                }
+            } else if (file.endsWith('.h')) {
+                const { definitions, props } = parseHeader(fs.readFileSync(full, 'utf8'));
+                // Each header holds one device and its props
+                const propMeta = props.reduce((acc, p) => Object.assign(acc, p.properties || {}), {});
+                for (const def of definitions) {
+                    if (def.condition && def.properties) result.push({ ...def, _props: propMeta });
+                }
+            }
+        } catch (e) {
+            if (log) log.warn(`Theengs definition ${file} not loaded: ${e.message}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Resolve a condition/decoder source name to its string value.
+ *
+ * @param {string} source
+ * @param {{servicedata: string, manufacturerdata: string, name: string, uuid: string}} adv
+ * @returns {string|null} – null for unknown sources
+ */
+function sourceValue(source, adv) {
+    switch (source) {
+        case 'servicedata': return adv.servicedata;
+        case 'manufacturerdata': return adv.manufacturerdata;
+        case 'name': return adv.name;
+        case 'uuid':
+        case 'servicedatauuid': return adv.uuid;
+        default: return null;
+    }
+}
+
+/**
+ * Compare a substring, normalising "0x" prefixes for UUID sources.
+ *
+ * @param {string} value
+ * @param {number} pos
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function matchesAt(value, pos, expected) {
+    const exp = String(expected).toLowerCase();
+    const val = value.toLowerCase();
+    if (val.substr(pos, exp.length) === exp) return true;
+    // "0x181a" vs "181a"
+    if (pos === 0 && val.startsWith('0x') !== exp.startsWith('0x')) {
+        return val.replace(/^0x/, '').startsWith(exp.replace(/^0x/, ''));
+    }
+    return false;
+}
+
+/**
+ * Evaluate a Theengs condition array.
+ *
+ * @param {Array} tokens
+ * @param {object} adv – hex strings per source (see sourceValue)
+ * @returns {boolean}
+ */
+function evaluateCondition(tokens, adv) {
+    let pos = 0;
+
+    /** @returns {boolean} */
+    function term() {
+        if (tokens[pos] === '(') {
+            pos++;
+            const val = expression();
+            if (tokens[pos] === ')') pos++;
+            return val;
+        }
+
+        const value = sourceValue(tokens[pos++], adv);
+        if (value === null) throw new Error(`Unsupported condition source ${tokens[pos - 1]}`);
+
+        const op = tokens[pos++];
+        if (typeof op === 'string' && LENGTH_OPS[op] && typeof tokens[pos] === 'number') {
+            return LENGTH_OPS[op](value.length, tokens[pos++]);
+        }
+        if (op === 'index' || typeof op === 'number') {
+            const index = op === 'index' ? tokens[pos++] : op;
+            const negate = tokens[pos] === '!' && ++pos > 0;
+            const hit = matchesAt(value, index, tokens[pos++]);
+            return negate ? !hit : hit;
+        }
+        if (op === 'contain') {
+            const negate = tokens[pos] === '!' && ++pos > 0;
+            const hit = value.toLowerCase().includes(String(tokens[pos++]).toLowerCase());
+            return negate ? !hit : hit;
+        }
+        if (op === '=' || op === '!=') {
+            // Equality with a string
+            const hit = value.toLowerCase() === String(tokens[pos++]).toLowerCase();
+            return op === '=' ? hit : !hit;
+        }
+        throw new Error(`Unsupported condition operator ${op}`);
+    }
+
+    /** @returns {boolean} */
+    function expression() {
+        let result = term();
+        while (pos < tokens.length && (tokens[pos] === '&' || tokens[pos] === '|')) {
+            const op = tokens[pos++];
+            const right = term();
+            result = op === '&' ? result && right : result || right;
+        }
+        return result;
+    }
+
+    try {
+        return tokens.length > 0 && expression();
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Run a property decoder.
+ *
+ * @param {Array} decoder – e.g. ["value_from_hex_data", "servicedata", 12, 4, true, true]
+ * @param {object} adv
+ * @returns {number|boolean|string|null}
+ */
+function runDecoder(decoder, adv) {
+    const [type, source, index, length, reverse, signed = true] = decoder;
+
+    switch (type) {
+        case 'static_value':
+            return decoder[1];
+
+        case 'value_from_hex_data': {
+            const data = sourceValue(source, adv);
+            if (!data || index + length > data.length || length % 2 !== 0 && length !== 1) return null;
+            let hex = data.substr(index, length);
+            if (reverse) hex = hex.match(/../g).reverse().join('');
+            let value = parseInt(hex, 16);
+            if (Number.isNaN(value)) return null;
+            const bits = length * 4;
+            if (signed && value >= 2 ** (bits - 1)) value -= 2 ** bits;
+            return value;
+        }
+
+        case 'bf_value_from_hex_data': {
+            // decoder[3] is the bit position within the nibble at index
+            const data = sourceValue(source, adv);
+            if (!data || index >= data.length) return null;
+            const nibble = parseInt(data[index], 16);
+            if (Number.isNaN(nibble)) return null;
+            return !!((nibble >> length) & 1);
+        }
+
+        case 'string_from_hex_data': {
+            const data = sourceValue(source, adv);
+            if (!data || index + length > data.length) return null;
+            return Buffer.from(data.substr(index, length), 'hex').toString('utf8');
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Apply post-processing operations.
+ *
+ * @param {number|boolean} value
+ * @param {Array} ops – e.g. ["/", 10, "+", 5]
+ * @returns {number|boolean}
+ */
+function postProcess(value, ops) {
+    let v = value;
+    for (let i = 0; i < ops.length; i++) {
+        const op = ops[i];
+        if (op === '!') { v = !v; continue; }
+        if (op === 'abs') { v = Math.abs(v); continue; }
+        if (op === 'round') { v = Math.round(v); continue; }
+
+        const arg = ops[++i];
+        switch (op) {
+            case '/': v = v / arg; break;
+            case '*': v = v * arg; break;
+            case '+': v = v + arg; break;
+            case '-': v = v - arg; break;
+            case '%': v = v % arg; break;
+            case '>': v = v >> arg; break;
+            case '<': v = v << arg; break;
+            case '&': v = v & arg; break;
+            case '^': v = v ^ arg; break;
+            case '|': v = v | arg; break;
+            default: break;
+        }
+    }
+    return typeof v === 'number' ? Number(v.toFixed(4)) : v;
+}
+
+/**
+ * Decode an advertisement with the first matching definition.
+ *
+ * @param {object[]} definitions
+ * @param {object} adv – hex strings per source (see sourceValue)
+ * @returns {{definition: object, values: Array<{name: string, value: *, unit: string, role?: string}>}|null}
+ */
+function decodeWith(definitions, adv) {
+    for (const def of definitions) {
+        if (!evaluateCondition(def.condition, adv)) continue;
+
+        const values = [];
+        for (const [key, prop] of Object.entries(def.properties)) {
+            if (SKIPPED_PROPERTIES.has(key) || !Array.isArray(prop.decoder)) continue;
+            if (Array.isArray(prop.condition) && !evaluateCondition(prop.condition, adv)) continue;
+
+            let value = runDecoder(prop.decoder, adv);
+            if (value === null || value === undefined) continue;
+            if (Array.isArray(prop.post_proc)) value = postProcess(value, prop.post_proc);
+
+            const common = COMMON_PROPERTIES[key] || {};
+            const meta = (def._props && def._props[key]) || {};
+            values.push({
+                name: common.name || key,
+                value,
+                unit: meta.unit || common.unit || '',
+                role: common.role,
+            });
+        }
+
+        if (values.length > 0) return { definition: def, values };
+    }
+    return null;
+}
+
+/**
+ * Create the registry decoder for a set of definitions. It is registered as a
+ * fallback, i.e. it only runs when no built-in decoder recognised the packet.
+ *
+ * @param {object[]} definitions
+ * @returns {object} decoder for DecoderRegistry.register()
+ */
+function createTheengsDecoder(definitions) {
+    return {
+        name: 'theengs',
+        channel: 'theengs',
+        channelName: 'Theengs decoder data',
+        fallback: true,
+        test: () => definitions.length > 0,
+        decode(input) {
+            const mfr = input.manufacturerData ? input.manufacturerData.toString('hex') : '';
+            const entries = input.serviceData && input.serviceData.length > 0 ? input.serviceData : [null];
+
+            // Theengs looks at one service data entry at a time
+            for (const sd of entries) {
+                const decoded = decodeWith(definitions, {
+                    servicedata: sd && Buffer.isBuffer(sd.data) ? sd.data.toString('hex') : '',
+                    uuid: sd && sd.uuid ? `0x${sd.uuid.toLowerCase()}` : '',
+                    manufacturerdata: mfr,
+                    name: input.name || '',
+                });
+                if (decoded) {
+                    const { brand, model, model_id: modelId } = decoded.definition;
+                    return {
+                        values: [
+                            { name: 'model', value: [brand, model || modelId].filter(Boolean).join(' '), role: 'text' },
+                            ...decoded.values,
+                        ],
+                    };
+                }
+            }
+            return null;
+        },
+    };
+}
+
+module.exports = {
+    loadDefinitions,
+    parseHeader,
+    evaluateCondition,
+    decodeWith,
+    createTheengsDecoder,
+};
@@ -0,0 +1,318 @@
+'use strict';
+
+/**
+ * victronParser.js – Victron "Instant Readout" advertisements
+ * (manufacturer data, company 0x02E1).
+ *
+ * Frame layout after the company ID:
+ *   Byte 0:    0x10 (product advertisement)
+ *   Byte 1:    unused
+ *   Byte 2-3:  Product ID (uint16 LE)
+ *   Byte 4:    Record type
+ *   Byte 5-6:  Nonce / data counter (uint16 LE)
+ *   Byte 7:    First byte of the encryption key (lets a wrong key be detected)
+ *   Byte 8-…:  Record, AES-128-CTR encrypted with the per-device
+ *              "advertisement key" shown in VictronConnect
+ *              (Product info → Instant readout details). The counter block
+ *              is the nonce as 128-bit little-endian integer.
+ *
+ * Records are bit fields, least significant bit first. Fields holding their
+ * "not available" value are left out.
+ *
+ * @see https://community.victronenergy.com/questions/187303/victron-bluetooth-advertising-protocol.html
+ * @see https://github.com/keshavdv/victron-ble
+ */
+
+const { parseKey, decryptAesCtrLE } = require('./bleCrypto');
+
+/** Victron Energy company ID */
+const VICTRON_COMPANY_ID = 0x02E1;
+
+/** Record types */
+const RECORD_TYPES = {
+    SOLAR_CHARGER: 0x01,
+    BATTERY_MONITOR: 0x02,
+    INVERTER: 0x03,
+    DCDC_CONVERTER: 0x04,
+};
+
+/** Device states (solar charger, inverter, DC-DC converter) */
+const DEVICE_STATES = {
+    0: 'off',
+    1: 'low_power',
+    2: 'fault',
+    3: 'bulk',
+    4: 'absorption',
+    5: 'float',
+    6: 'storage',
+    7: 'equalize',
+    9: 'inverting',
+    11: 'power_supply',
+    245: 'starting_up',
+    246: 'repeated_absorption',
+    247: 'recondition',
+    248: 'battery_safe',
+    252: 'external_control',
+};
+
+/** Charger error codes */
+const CHARGER_ERRORS = {
+    0: 'No error',
+    1: 'Battery temperature too high',
+    2: 'Battery voltage too high',
+    3: 'Remote temperature sensor failure',
+    4: 'Remote temperature sensor failure',
+    5: 'Remote temperature sensor failure (connection lost)',
+    6: 'Remote battery voltage sense failure',
+    7: 'Remote battery voltage sense failure',
+    8: 'Remote battery voltage sense failure (connection lost)',
+    11: 'Battery high ripple voltage',
+    14: 'Battery temperature too low',
+    17: 'Charger temperature too high',
+    18: 'Charger over current',
+    19: 'Charger current reversed',
+    20: 'Bulk time limit exceeded',
+    21: 'Current sensor issue',
+    26: 'Terminals overheated',
+    28: 'Converter issue',
+    33: 'Input voltage too high (solar panel)',
+    34: 'Input current too high (solar panel)',
+    38: 'Input shutdown (excessive battery voltage)',
+    39: 'Input shutdown (current flow during off mode)',
+    65: 'Lost communication with one of the devices',
+    67: 'Synchronised charging device configuration issue',
+    68: 'BMS connection lost',
+    116: 'Factory calibration data lost',
+    117: 'Invalid or incompatible firmware',
+    119: 'User settings invalid',
+};
+
+/** Alarm reason bits (battery monitor, inverter) */
+const ALARM_BITS = [
+    'low_voltage', 'high_voltage', 'low_soc', 'low_starter_voltage', 'high_starter_voltage',
+    'low_temperature', 'high_temperature', 'mid_voltage', 'overload', 'dc_ripple',
+    'low_ac_voltage', 'high_ac_voltage', 'short_circuit', 'bms_lockout',
+];
+
+/**
+ * Read an unsigned bit field (LSB first).
+ *
+ * @param {Buffer} buf
+ * @param {number} offset – bit offset
+ * @param {number} length – bit length (≤ 32)
+ * @returns {number}
+ */
+function readBits(buf, offset, length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+        const bit = offset + i;
+        if ((buf[bit >> 3] >> (bit & 7)) & 1) value += 2 ** i;
+    }
+    return value;
+}
+
+/**
+ * Read a signed (two's complement) bit field.
+ *
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @param {number} length
+ * @returns {number}
+ */
+function readSignedBits(buf, offset, length) {
+    const value = readBits(buf, offset, length);
+    return value >= 2 ** (length - 1) ? value - 2 ** length : value;
+}
+
+/**
+ * Round to a fixed number of decimals without floating point artifacts.
+ *
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+function round(value, decimals) {
+    return Number(value.toFixed(decimals));
+}
+
+/**
+ * Append a value unless the raw field holds its "not available" marker.
+ *
+ * @param {Array} values
+ * @param {number} raw
+ * @param {number} na – "not available" marker
+ * @param {object} entry – { name, unit, role } plus value computed from raw
+ * @param {(raw: number) => number} convert
+ */
+function push(values, raw, na, entry, convert) {
+    if (raw !== na) values.push({ ...entry, value: convert(raw) });
+}
+
+/**
+ * Device state + charger error entries.
+ *
+ * @param {Array} values
+ * @param {Buffer} rec
+ * @param {boolean} withError – record has a charger error byte at offset 8
+ */
+function pushState(values, rec, withError) {
+    const state = readBits(rec, 0, 8);
+    values.push({ name: 'device_state', value: DEVICE_STATES[state] || `unknown_${state}`, role: 'text' });
+    if (withError) {
+        const error = readBits(rec, 8, 8);
+        values.push({ name: 'error', value: error, role: 'value' });
+        values.push({ name: 'error_text', value: CHARGER_ERRORS[error] || `Error ${error}`, role: 'text' });
+    }
+}
+
+/**
+ * Alarm bits → number + comma separated names.
+ *
+ * @param {Array} values
+ * @param {number} alarm
+ */
+function pushAlarm(values, alarm) {
+    values.push({ name: 'alarm', value: alarm, role: 'value' });
+    values.push({
+        name: 'alarm_text',
+        value: ALARM_BITS.filter((_, bit) => alarm & (1 << bit)).join(', '),
+        role: 'text',
+    });
+}
+
+/**
+ * Record decoders by record type.
+ * @type {Record<number, (rec: Buffer) => Array<{name: string, value: number|string, unit?: string, role: string}>>}
+ */
+const RECORD_DECODERS = {
+    [RECORD_TYPES.SOLAR_CHARGER]: rec => {
+        const values = [];
+        pushState(values, rec, true);
+        push(values, readSignedBits(rec, 16, 16), 0x7FFF,
+            { name: 'battery_voltage', unit: 'V', role: 'value.voltage' }, v => round(v / 100, 2));
+        push(values, readSignedBits(rec, 32, 16), 0x7FFF,
+            { name: 'battery_current', unit: 'A', role: 'value.current' }, v => round(v / 10, 1));
+        push(values, readBits(rec, 48, 16), 0xFFFF,
+            { name: 'yield_today', unit: 'kWh', role: 'value.energy' }, v => round(v / 100, 2));
+        push(values, readBits(rec, 64, 16), 0xFFFF,
+            { name: 'pv_power', unit: 'W', role: 'value.power' }, v => v);
+        push(values, readBits(rec, 80, 9), 0x1FF,
+            { name: 'load_current', unit: 'A', role: 'value.current' }, v => round(v / 10, 1));
+        return values;
+    },
+
+    [RECORD_TYPES.BATTERY_MONITOR]: rec => {
+        const values = [];
+        push(values, readBits(rec, 0, 16), 0xFFFF,
+            { name: 'time_to_go', unit: 'min', role: 'value' }, v => v);
+        push(values, readSignedBits(rec, 16, 16), 0x7FFF,
+            { name: 'voltage', unit: 'V', role: 'value.voltage' }, v => round(v / 100, 2));
+        pushAlarm(values, readBits(rec, 32, 16));
+
+        const aux = readBits(rec, 48, 16);
+        switch (readBits(rec, 64, 2)) {
+            case 0:
+                push(values, aux > 0x7FFF ? aux - 0x10000 : aux, 0x7FFF,
+                    { name: 'starter_voltage', unit: 'V', role: 'value.voltage' }, v => round(v / 100, 2));
+                break;
+            case 1:
+                push(values, aux, 0xFFFF,
+                    { name: 'midpoint_voltage', unit: 'V', role: 'value.voltage' }, v => round(v / 100, 2));
+                break;
+            case 2:
+                push(values, aux, 0xFFFF,
+                    { name: 'temperature', unit: '°C', role: 'value.temperature' }, v => round(v / 100 - 273.15, 2));
+                break;
+            default:
+                break;
+        }
+
+        push(values, readSignedBits(rec, 66, 22), 0x1FFFFF,
+            { name: 'current', unit: 'A', role: 'value.current' }, v => round(v / 1000, 3));
+        push(values, readBits(rec, 88, 20), 0xFFFFF,
+            { name: 'consumed_ah', unit: 'Ah', role: 'value' }, v => round(-v / 10, 1));
+        push(values, readBits(rec, 108, 10), 0x3FF,
+            { name: 'soc', unit: '%', role: 'value.battery' }, v => round(v / 10, 1));
+        return values;
+    },
+
+    [RECORD_TYPES.INVERTER]: rec => {
+        const values = [];
+        pushState(values, rec, false);
+        pushAlarm(values, readBits(rec, 8, 16));
+        push(values, readSignedBits(rec, 24, 16), 0x7FFF,
+            { name: 'battery_voltage', unit: 'V', role: 'value.voltage' }, v => round(v / 100, 2));
+        push(values, readBits(rec, 40, 16), 0xFFFF,
+            { name: 'ac_apparent_power', unit: 'VA', role: 'value.power' }, v => v);
+        push(values, readBits(rec, 56, 15), 0x7FFF,
+            { name: 'ac_voltage', unit: 'V', role: 'value.voltage' }, v => round(v / 100, 2));
+        push(values, readBits(rec, 71, 11), 0x7FF,
+            { name: 'ac_current', unit: 'A', role: 'value.current' }, v => round(v / 10, 1));
+        return values;
+    },
+
+    [RECORD_TYPES.DCDC_CONVERTER]: rec => {
+        const values = [];
+        pushState(values, rec, true);
+        push(values, readBits(rec, 16, 16), 0xFFFF,
+            { name: 'input_voltage', unit: 'V', role: 'value.voltage' }, v => round(v / 100, 2));
+        push(values, readSignedBits(rec, 32, 16), 0x7FFF,
+            { name: 'output_voltage', unit: 'V', role: 'value.voltage' }, v => round(v / 100, 2));
+        values.push({ name: 'off_reason', value: readBits(rec, 48, 32), role: 'value' });
+        return values;
+    },
+};
+
+/**
+ * Parse a Victron Instant Readout frame.
+ *
+ * The result uses the shape of the other encrypted parsers: error is
+ * 'missingKey' without key and 'decryptFailed' if the key doesn't belong to
+ * the device. `counter` is the nonce, which changes with every new record.
+ *
+ * @param {Buffer} data – manufacturer data without company ID
+ * @param {object} [opts]
+ * @param {string} [opts.key] – advertisement key (32 hex chars)
+ * @returns {{productId: number, recordType: number, counter: number, error: string|null,
+ *            values: Array<{name: string, value: number|string, unit?: string, role: string}>}|null}
+ *          null for other frames and unsupported record types
+ */
+function parseVictron(data, opts = {}) {
+    if (!Buffer.isBuffer(data) || data.length < 9 || data[0] !== 0x10) return null;
+
+    const recordType = data.readUInt8(4);
+    const decodeRecord = RECORD_DECODERS[recordType];
+    if (!decodeRecord) return null;
+
+    const result = {
+        productId: data.readUInt16LE(2),
+        recordType,
+        counter: data.readUInt16LE(5),
+        error: null,
+        values: [],
+    };
+
+    const key = parseKey(opts.key);
+    if (!key) {
+        result.error = 'missingKey';
+        return result;
+    }
+    if (data[7] !== key[0]) {
+        result.error = 'decryptFailed';
+        return result;
+    }
+
+    // Records are shorter than 16 bytes; pad so every bit field can be read
+    const record = Buffer.alloc(16);
+    decryptAesCtrLE(key, result.counter, data.subarray(8)).copy(record);
+    result.values = decodeRecord(record);
+    return result;
+}
+
+module.exports = {
+    parseVictron,
+    VICTRON_COMPANY_ID,
+    RECORD_TYPES,
+    DEVICE_STATES,
+    CHARGER_ERRORS,
+};
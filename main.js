@@ -1,15 +1,34 @@
 'use strict';
 
 const utils = require('@iobroker/adapter-core');
+const path = require('path');
 const BluezManager = require('./lib/bluezManager');
 const DeviceManager = require('./lib/deviceManager');
 const HfpProfile = require('./lib/hfpProfile');
 const AvrcpController = require('./lib/avrcpController');
 const MapClient = require('./lib/mapClient');
-const { parseAdvertisement } = require('./lib/advertisementParser');
-const { parseBTHome, findBTHomeData } = require('./lib/bthomeParser');
+const { lookupCompany, lookupService } = require('./lib/bluetoothNumbers');
 const SatelliteManager = require('./lib/satelliteManager');
+const PacketTracker = require('./lib/packetTracker');
+const DecoderRegistry = require('./lib/decoderRegistry');
+const GattDefinitionRegistry = require('./lib/gattDefinitions');
+const { createTemplateDecoders, previewTemplates } = require('./lib/payloadTemplate');
+const { loadDefinitions, createTheengsDecoder } = require('./lib/theengsDecoder');
+const { beaconIdentity } = require('./lib/advertisementParser');
+const { continuityLabel } = require('./lib/appleContinuity');
+const { buildCommand: buildSwitchBotCommand, SWITCHBOT_COMMAND_UUID } = require('./lib/switchbot');
 const BluetoothDeviceManagement = require('./lib/bluetoothDeviceManagement');
+const GattSessionScheduler = require('./lib/gattSession');
+const ConnectionManager = require('./lib/connectionManager');
+
+const { PRIORITY: CONNECT_PRIORITY } = ConnectionManager;
+
+/** Strictly increasing lower encryption counters in a row that mean the device reset its counter */
+const COUNTER_RESET_FRAMES = 3;
+/** Rotating beacon addresses not seen for this long are forgotten (ms) */
+const BEACON_ADDRESS_TTL = 30 * 60 * 1000;
+/** A planned disconnect only explains a link loss reported within this time (ms) */
+const PLANNED_DISCONNECT_TTL = 10000;
 
 /**
  * ioBroker.bluetooth – Bluetooth adapter (Classic + BLE via BlueZ/D-Bus)
@@ -41,8 +60,10 @@ class BluetoothAdapter extends utils.Adapter {
 
         /** MAC → reconnect state */
         this._reconnect = new Map();
+        /** Device ID → time it was disconnected on purpose (on-demand writes) – that disconnect doesn't reconnect */
+        this._plannedDisconnects = new Map();
 
-        /** Discovery list: MAC → { mac, name, rssi, type, paired, adopted, transient, lastSeen } */
+        /** Discovery list: MAC → { mac, name, label, rssi, type, paired, adopted, transient, lastSeen } (label: e.g. Apple device type) */
         this._discovery = new Map();
         /** Set of adopted device MACs (upper-case dashed) – persisted in state */
         this._adopted = new Set();
@@ -55,6 +76,41 @@ class BluetoothAdapter extends utils.Adapter {
         /** In-flight _ensureTelephonyObjects promises (dedup concurrent calls) */
         this._telephonyPending = new Map();
 
+        /**
+         * Advertisement decoders (BTHome, MiBeacon, vendor formats, …) – created in onReady, this.log is not set before
+         * @type {DecoderRegistry|null}
+         */
+        this._decoders = null;
+        /**
+         * GATT device definitions (sensors/controls channels for connected devices) – created in onReady
+         * @type {GattDefinitionRegistry|null}
+         */
+        this._definitions = null;
+        /** Last advertisement payloads per adopted or discovered device (payload template preview) */
+        this._lastAdvertisement = new Map();
+        /**
+         * Last accepted encryption counter per device channel (replay protection),
+         * with the lower counters seen since: the last one and how many went up in a row
+         * @type {Map<string, {counter: number, candidate: number|null, lower: number}>}
+         */
+        this._decoderCounters = new Map();
+        /** Packet-id deduplication across local scanner and satellites, per device channel */
+        this._packetTracker = new PacketTracker({ windowMs: 10000 });
+        /** Timer for periodic packet counter flush */
+        this._packetStatsTimer = null;
+        /** Beacon identity (iBeacon UUID/major/minor, Eddystone UID) → adopted device ID */
+        this._beaconOwners = new Map();
+        /**
+         * Addresses a beacon was seen with → adopted device ID (for frames without identity, e.g. TLM);
+         * expired after BEACON_ADDRESS_TTL
+         * @type {Map<string, {owner: string, lastSeen: number}>}
+         */
+        this._beaconAddresses = new Map();
+        /** Handlers for writes to decoder control states, per decoder channel */
+        this._controlHandlers = {
+            switchbot: (devId, command, value) => this._sendSwitchBotCommand(devId, command, value),
+        };
+
         this.on('ready', this.onReady.bind(this));
         this.on('stateChange', this.onStateChange.bind(this));
         this.on('message', this.onMessage.bind(this));
@@ -74,13 +130,19 @@ class BluetoothAdapter extends utils.Adapter {
             const raw = typeof e === 'string' ? e : (e.mac || '');
             return raw.toUpperCase().replace(/[:-]/g, '-');
         }).filter(Boolean);
+        // Per-device settings from the allowlist table: MAC → entry
+        const deviceSettings = new Map();
+        for (const e of cfg.allowlist || []) {
+            if (!e || typeof e !== 'object' || !e.mac) continue;
+            deviceSettings.set(String(e.mac).toUpperCase().replace(/[:-]/g, '-'), e);
+        }
         const autoConnect = cfg.autoConnect !== false && allowlist.length > 0;
         const reconnectEnabled = cfg.reconnectEnabled !== false;
         const reconnectBaseDelay = (cfg.reconnectBaseDelay || 5) * 1000;
         const reconnectMaxDelay = (cfg.reconnectMaxDelay || 300) * 1000;
 
         this._cfg = {
-            hciDevice, transport, allowlist, autoConnect,
+            hciDevice, transport, allowlist, deviceSettings, autoConnect,
             reconnectEnabled, reconnectBaseDelay, reconnectMaxDelay,
         };
 
@@ -98,8 +160,46 @@ class BluetoothAdapter extends utils.Adapter {
         }
 
         // Create managers
+        this._decoders = new DecoderRegistry({ log: this.log });
+        this._definitions = new GattDefinitionRegistry({ log: this.log });
         this.bluez = new BluezManager({ log: this.log, hciDevice, alias: btAlias });
-        this.deviceMgr = new DeviceManager({ adapter: this, bluezManager: this.bluez });
+        this.connections = new ConnectionManager({
+            bluez: this.bluez,
+            log: this.log,
+            maxConnections: Number(cfg.maxConnections) || 5,
+            pauseDiscovery: !!cfg.pauseDiscovery,
+            transport,
+        });
+        this.deviceMgr = new DeviceManager({
+            adapter: this,
+            bluezManager: this.bluez,
+            codecs: this.config.characteristicCodecs,
+            notificationFilters: this.config.notificationFilters,
+            definitions: this._definitions,
+            deviceSettings: this._cfg.deviceSettings,
+            gattTimeout: (Number(this.config.gattTimeout) || 10) * 1000,
+            gattRetries: Number.isInteger(Number(this.config.gattRetries)) ? Number(this.config.gattRetries) : 2,
+        });
+        this.sessions = new GattSessionScheduler({
+            adapter: this,
+            bluez: this.bluez,
+            connections: this.connections,
+            deviceMgr: this.deviceMgr,
+            jitterMs: (Number(this.config.sessionJitter ?? 30) || 0) * 1000,
+            maxSessionMs: (Number(this.config.sessionMaxTime) || 60) * 1000,
+        });
+        this._decoders.loadDirectory(path.join(__dirname, 'lib', 'decoders'));
+        for (const decoder of createTemplateDecoders(this.config.payloadTemplates)) {
+            this._decoders.register(decoder);
+        }
+        if (this.config.theengsPath) {
+            const definitions = loadDefinitions(path.resolve(this.config.theengsPath), this.log);
+            this.log.info(`Loaded ${definitions.length} Theengs device definitions from ${this.config.theengsPath}`);
+            this._decoders.register(createTheengsDecoder(definitions));
+        }
+        this.log.debug(`Advertisement decoders: ${this._decoders.decoders.map(d => d.name).join(', ')}`);
+        this._definitions.loadDirectory(path.join(__dirname, 'lib', 'devices'));
+        this.log.debug(`Device definitions: ${this._definitions.definitions.map(d => d.name).join(', ')}`);
 
         // Load adopted devices BEFORE BluezManager init (which enumerates existing devices)
         await this._initDiscovery();
@@ -110,11 +210,29 @@ class BluetoothAdapter extends utils.Adapter {
             common: { name: 'Bluetooth adapter connected', type: 'boolean', role: 'indicator.connected', read: true, write: false },
             native: {},
         });
+        await this.setObjectNotExistsAsync('info.connections', {
+            type: 'state',
+            common: { name: 'Connection slots in use', type: 'number', role: 'value', read: true, write: false, max: this.connections.maxConnections },
+            native: {},
+        });
+        await this.extendObjectAsync('info.connections', { common: { max: this.connections.maxConnections } });
+        await this.setObjectNotExistsAsync('info.connectionQueue', {
+            type: 'state',
+            common: { name: 'Waiting connects', type: 'number', role: 'value', read: true, write: false },
+            native: {},
+        });
+        await this.setStateAsync('info.connections', 0, true);
+        await this.setStateAsync('info.connectionQueue', 0, true);
+        this.connections.on('change', (used, queued) => {
+            this.setStateChangedAsync('info.connections', used, true).catch(() => {});
+            this.setStateChangedAsync('info.connectionQueue', queued, true).catch(() => {});
+        });
 
         // Wire up BluezManager events BEFORE init (init enumerates existing devices)
         this.bluez.on('deviceFound', (mac, props) => this._onDeviceFound(mac, props));
         this.bluez.on('deviceChanged', (mac, changed) => this._onDeviceChanged(mac, changed));
         this.bluez.on('deviceRemoved', (mac) => this._onDeviceRemoved(mac));
+        this.bluez.on('gattChanged', (mac) => this.deviceMgr.rediscover(mac.replace(/:/g, '-')));
 
         try {
             await this.bluez.init();
@@ -219,10 +337,13 @@ class BluetoothAdapter extends utils.Adapter {
         try {
             // Clear timers
             if (this._discoveryFlushTimer) clearInterval(this._discoveryFlushTimer);
+            if (this._packetStatsTimer) clearInterval(this._packetStatsTimer);
             for (const [, rs] of this._reconnect) {
                 if (rs.timer) clearTimeout(rs.timer);
             }
             this._reconnect.clear();
+            if (this.sessions) this.sessions.stopAll();
+            if (this.connections) this.connections.clear();
 
             if (this.hfp) {
                 await this.hfp.unregister();
@@ -352,6 +473,28 @@ class BluetoothAdapter extends utils.Adapter {
                 }
                 break;
             }
+            case 'previewPayloadTemplates': {
+                // Decode the (unsaved) template table against the last packets (textSendTo)
+                const rows = (msg.message && msg.message.fields) || [];
+                const text = previewTemplates(rows, mac => this._lastAdvertisement.get(mac));
+                this.sendTo(msg.from, msg.command, text, msg.callback);
+                break;
+            }
+            case 'transaction': {
+                // Request/response exchange with a connected device: { device, transaction, params }
+                // for a definition's transaction, or { device, write, value, response, prefix, codec, timeout }
+                const data = msg.message || {};
+                const mac = String(data.device || '').toUpperCase().replace(/[:-]/g, '-').trim();
+                try {
+                    if (!/^[0-9A-F]{2}(-[0-9A-F]{2}){5}$/.test(mac)) throw new Error('Invalid MAC');
+                    const result = await this.deviceMgr.runTransaction(mac, data);
+                    this.sendTo(msg.from, msg.command, result, msg.callback);
+                } catch (e) {
+                    this.log.debug(`Transaction with ${mac} failed: ${e.message}`);
+                    this.sendTo(msg.from, msg.command, { error: e.message }, msg.callback);
+                }
+                break;
+            }
             default:
                 this.log.debug(`Unknown message command: ${msg.command}`);
                 if (msg.callback) {
@@ -395,8 +538,7 @@ class BluetoothAdapter extends utils.Adapter {
             if (mac) {
                 this.log.info(`User triggered connect for ${mac}`);
                 try {
-                    const devicePath = this.bluez.macToDevicePath(mac.replace(/-/g, ':'));
-                    await this.bluez.connect(devicePath);
+                    await this.connections.connect(mac, CONNECT_PRIORITY.USER);
                 } catch (e) {
                     this.log.warn(`Connect failed for ${mac}: ${e.message}`);
                 }
@@ -409,8 +551,7 @@ class BluetoothAdapter extends utils.Adapter {
             if (mac) {
                 this.log.info(`User triggered disconnect for ${mac}`);
                 try {
-                    const devicePath = this.bluez.macToDevicePath(mac.replace(/-/g, ':'));
-                    await this.bluez.disconnect(devicePath);
+                    await this.connections.disconnect(mac);
                 } catch (e) {
                     this.log.warn(`Disconnect failed for ${mac}: ${e.message}`);
                 }
@@ -630,11 +771,29 @@ class BluetoothAdapter extends utils.Adapter {
             return;
         }
 
-        // ── Write to characteristic ──────────────────────────────────
+        // ── Write to characteristic / decoder control ────────────────
         try {
             const obj = await this.getObjectAsync(localId);
+            if (obj && obj.native && obj.native.control) {
+                await this._handleControlWrite(localId, obj, state);
+                return;
+            }
+            if (obj && obj.native && obj.native.definition) {
+                await this.deviceMgr.writeDefinitionControl(localId, state.val, obj.native);
+                this.log.debug(`Wrote to ${localId}`);
+                return;
+            }
             if (!obj || !obj.native || !obj.native.mac) return;
 
+            if (obj.native.descriptor) {
+                await this.deviceMgr.writeDescriptor(localId, state.val, obj.native);
+                this.log.debug(`Wrote to descriptor ${localId}`);
+                try {
+                    await this.deviceMgr.readDescriptor(localId, obj.native);
+                } catch (_) { /* best effort */ }
+                return;
+            }
+
             const props = obj.native.properties || [];
             if (!props.includes('write') && !props.includes('write-without-response')) {
                 this.log.warn(`${localId} is not writable`);
@@ -676,6 +835,7 @@ class BluetoothAdapter extends utils.Adapter {
                 mac: mac.toUpperCase(),
                 name: deviceProps.name || deviceProps.alias || '',
                 rssi: deviceProps.rssi ?? null,
+                label: continuityLabel(deviceProps.manufacturerData),
                 type: deviceProps.type || 'unknown',
                 paired: deviceProps.paired ?? false,
                 adopted: this._isAdopted(devId),
@@ -691,6 +851,13 @@ class BluetoothAdapter extends utils.Adapter {
 
             // ── Only create ioBroker objects for adopted devices ─────
             if (!this._isAdopted(devId)) {
+                this._rememberAdvertisement(devId, deviceProps);
+                // A known beacon with a new (rotating) address
+                const owner = this._beaconOwner(devId, deviceProps);
+                if (owner) {
+                    this._processSensorData(owner, deviceProps)
+                        .catch(e => this.log.warn(`${owner}: sensor data processing failed: ${e.message}`));
+                }
                 return;
             }
 
@@ -700,15 +867,22 @@ class BluetoothAdapter extends utils.Adapter {
             // ── Advertisement data ───────────────────────────────────
             this._processAdvertisementData(devId, deviceProps);
 
-            // ── BTHome detection ─────────────────────────────────────
+            // ── Sensor data (BTHome, MiBeacon, vendor formats) ───────
             if (deviceProps.serviceData && deviceProps.serviceData.length > 0) {
-                this.log.info(`${devId}: serviceData present (${deviceProps.serviceData.length} entries)`);
+                this.log.debug(`${devId}: serviceData present (${deviceProps.serviceData.length} entries)`);
             }
-            this._processBTHome(devId, deviceProps.serviceData);
+            this._processSensorData(devId, deviceProps)
+                .catch(e => this.log.warn(`${devId}: sensor data processing failed: ${e.message}`));
 
-            // Auto-connect if in allowlist
+            // Auto-connect if in allowlist – or schedule sessions for devices in session mode
             const inAllowlist = this._cfg.allowlist.includes(devId);
-            if (this._cfg.autoConnect && inAllowlist) {
+            const settings = this._cfg.deviceSettings.get(devId);
+            const sessionMode = inAllowlist && GattSessionScheduler.interval(settings) > 0;
+            // Left the allowlist or session interval set to 0
+            if (!sessionMode && this.sessions.has(devId)) this.sessions.stop(devId);
+            if (sessionMode) {
+                if (!this.sessions.has(devId)) await this.sessions.start(devId, settings);
+            } else if (this._cfg.autoConnect && inAllowlist) {
                 await this._connectAndDiscover(mac);
             }
         } catch (e) {
@@ -732,6 +906,7 @@ class BluetoothAdapter extends utils.Adapter {
             if (entry) {
                 if ('rssi' in changed) entry.rssi = changed.rssi;
                 if ('name' in changed) entry.name = changed.name;
+                if (changed.manufacturerData) entry.label = continuityLabel(changed.manufacturerData) || entry.label;
                 if ('paired' in changed) entry.paired = changed.paired;
                 if ('connected' in changed) entry.connected = changed.connected;
                 entry.lastSeen = Date.now();
@@ -743,7 +918,17 @@ class BluetoothAdapter extends utils.Adapter {
             }
 
             // Only process adopted devices further
-            if (!this._isAdopted(devId)) return;
+            if (!this._isAdopted(devId)) {
+                if (changed.serviceData || changed.manufacturerData) {
+                    this._rememberAdvertisement(devId, changed);
+                    const owner = this._beaconOwner(devId, changed);
+                    if (owner) {
+                        this._processSensorData(owner, changed)
+                            .catch(e => this.log.warn(`${owner}: sensor data processing failed: ${e.message}`));
+                    }
+                }
+                return;
+            }
 
             // Ensure objects exist (idempotent – also handles migration of new states)
             const device = this.bluez.getDevice(mac);
@@ -762,10 +947,14 @@ class BluetoothAdapter extends utils.Adapter {
                 }
             }
 
-            // BTHome updates
-            if (changed.serviceData) {
-                this.log.info(`${devId}: serviceData changed (${changed.serviceData.length} entries)`);
-                this._processBTHome(devId, changed.serviceData);
+            // Sensor data updates – decode only what changed
+            if (changed.serviceData || changed.manufacturerData) {
+                const device = this.bluez.getDevice(mac);
+                this._processSensorData(devId, {
+                    name: device ? device.name : null,
+                    serviceData: changed.serviceData || null,
+                    manufacturerData: changed.manufacturerData || null,
+                }).catch(e => this.log.warn(`${devId}: sensor data processing failed: ${e.message}`));
             }
 
             // When a device gets newly paired, connect and trigger HFP
@@ -780,10 +969,7 @@ class BluetoothAdapter extends utils.Adapter {
                         await props.Set('org.bluez.Device1', 'Trusted', new (require('@deltachat/dbus-next')).Variant('b', true));
                     } catch (e) { this.log.debug(`Trust set failed: ${e.message}`); }
                     // Connect the device (establishes all profiles)
-                    const device = this.bluez.getDevice(mac);
-                    if (!device || !device.connected) {
-                        await this.bluez.connect(devicePath);
-                    }
+                    await this.connections.connect(mac, CONNECT_PRIORITY.USER);
                     // Give it time to settle, then explicitly request HFP profile
                     await new Promise(r => setTimeout(r, 2000));
                     if (this.hfp && !this.hfp.isConnected(mac)) {
@@ -798,6 +984,12 @@ class BluetoothAdapter extends utils.Adapter {
                 }
             }
 
+            // Connection slots – also for connections we didn't make
+            if ('connected' in changed) {
+                if (changed.connected) this.connections.connected(mac);
+                else this.connections.release(mac);
+            }
+
             // When a paired device connects but HFP isn't up, trigger it
             if ('connected' in changed && changed.connected) {
                 const device = this.bluez.getDevice(mac);
@@ -823,12 +1015,17 @@ class BluetoothAdapter extends utils.Adapter {
 
             // Handle disconnect for reconnect
             if ('connected' in changed && !changed.connected) {
+                // BlueZ may never report the planned disconnect – a stale entry is a real link loss
+                const plannedAt = this._plannedDisconnects.get(devId);
+                this._plannedDisconnects.delete(devId);
+                const planned = plannedAt !== undefined && Date.now() - plannedAt < PLANNED_DISCONNECT_TTL;
                 // Tear down MAP session
                 this._tryMapDisconnect(mac);
                 if (this._cfg.autoConnect && this._isAdopted(devId)) {
                     this.log.info(`${mac} disconnected`);
                     await this.deviceMgr.setDisconnected(devId);
-                    this._scheduleReconnect(mac);
+                    // Session devices and on-demand writes disconnect on purpose
+                    if (!planned && !this.sessions.has(devId)) this._scheduleReconnect(mac);
                 }
             }
         } catch (e) {
@@ -845,6 +1042,8 @@ class BluetoothAdapter extends utils.Adapter {
         this.log.info(`Device removed: ${mac}`);
         // Don't delete ioBroker objects — but reset connection/pairing states
         const devId = mac.replace(/:/g, '-').toUpperCase();
+        this.connections.cancel(mac);
+        this.connections.release(mac);
         try {
             await this.setStateAsync(`${devId}.info.connected`, { val: false, ack: true });
             await this.setStateAsync(`${devId}.info.paired`, { val: false, ack: true });
@@ -861,55 +1060,272 @@ class BluetoothAdapter extends utils.Adapter {
      * @param {object} deviceProps – device properties from BluezManager
      */
     _processAdvertisementData(devId, deviceProps) {
-        const advParsed = parseAdvertisement({
-            manufacturerData: deviceProps.manufacturerData,
-            serviceData: deviceProps.serviceData,
-            txPowerLevel: deviceProps.txPower,
-        });
-
-        // Update manufacturer data
-        if (advParsed.manufacturerData) {
-            const mfr = advParsed.manufacturerData;
-            const label = mfr.companyName
-                ? `${mfr.companyName} (0x${mfr.companyId.toString(16).padStart(4, '0')}): ${mfr.data}`
-                : mfr.raw;
+        // Manufacturer data: company ID (uint16 LE) + payload
+        const mfr = deviceProps.manufacturerData;
+        if (Buffer.isBuffer(mfr) && mfr.length >= 2) {
+            const companyId = mfr.readUInt16LE(0);
+            const companyName = lookupCompany(companyId);
+            const label = companyName
+                ? `${companyName} (0x${companyId.toString(16).padStart(4, '0')}): ${mfr.subarray(2).toString('hex')}`
+                : mfr.toString('hex');
             this.setStateAsync(`${devId}.info.manufacturerData`, { val: label, ack: true });
             // Resolved manufacturer name (human-readable)
-            if (mfr.companyName) {
-                this.setStateAsync(`${devId}.info.manufacturer`, { val: mfr.companyName, ack: true });
+            if (companyName) {
+                this.setStateAsync(`${devId}.info.manufacturer`, { val: companyName, ack: true });
             }
         }
 
         // Update TX power level
-        if (advParsed.txPowerLevel !== null) {
-            this.setStateAsync(`${devId}.info.txPowerLevel`, { val: advParsed.txPowerLevel, ack: true });
+        if (typeof deviceProps.txPower === 'number') {
+            this.setStateAsync(`${devId}.info.txPowerLevel`, { val: deviceProps.txPower, ack: true });
         }
 
         // Update service data
-        if (advParsed.serviceData.length > 0) {
+        if (Array.isArray(deviceProps.serviceData) && deviceProps.serviceData.length > 0) {
             this.setStateAsync(`${devId}.info.serviceData`, {
-                val: JSON.stringify(advParsed.serviceData),
+                val: JSON.stringify(deviceProps.serviceData.map(sd => ({
+                    uuid: sd.uuid,
+                    data: Buffer.isBuffer(sd.data) ? sd.data.toString('hex') : '',
+                    serviceName: lookupService(sd.uuid) || null,
+                }))),
                 ack: true,
             });
         }
     }
 
     /**
-     * Check for BTHome v2 data in service data and parse it.
+     * Run the advertisement decoders on service and manufacturer data and
+     * write the decoded measurements.
      * @param {string} devId – ioBroker device ID (MAC with dashes)
-     * @param {Array<{uuid: string, data: Buffer}>|null} serviceData
+     * @param {{name?: string, alias?: string, serviceData?: Array<{uuid: string, data: Buffer}>|null,
+     *          manufacturerData?: Buffer|null}} adv
+     * @param {string} [source] – 'local' or 'satellite:<name>'
+     */
+    async _processSensorData(devId, adv, source = 'local') {
+        if (!adv.serviceData?.length && !adv.manufacturerData) return;
+
+        // Beacons are followed by identity, not by their (rotating) address
+        const identity = beaconIdentity(adv);
+        if (identity && this._beaconOwners.get(identity) !== devId && this._isAdopted(devId)) {
+            this.log.debug(`${devId}: beacon ${identity}`);
+            this._beaconOwners.set(identity, devId);
+        }
+
+        this._rememberAdvertisement(devId, adv);
+
+        const results = this._decoders.decode({
+            mac: devId,
+            name: adv.name || adv.alias,
+            serviceData: adv.serviceData,
+            manufacturerData: adv.manufacturerData,
+        }, this._cfg.deviceSettings.get(devId.toUpperCase()) || {});
+
+        for (const { decoder, result } of results) {
+            try {
+                await this._applyDecoderResult(devId, decoder, result, source);
+            } catch (e) {
+                this.log.debug(`${devId}: ${decoder.name} processing failed: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Remember the latest payloads of a device for the template preview in
+     * admin – also of devices that are not adopted yet, so templates can be
+     * checked before adopting.
+     * @param {string} devId
+     * @param {{serviceData?: Array<{uuid: string, data: Buffer}>|null, manufacturerData?: Buffer|null}} adv
      */
-    async _processBTHome(devId, serviceData) {
-        if (!serviceData) return;
+    _rememberAdvertisement(devId, adv) {
+        if (!adv.serviceData?.length && !adv.manufacturerData) return;
+        const last = this._lastAdvertisement.get(devId) || {};
+        if (adv.serviceData?.length) last.serviceData = adv.serviceData;
+        if (adv.manufacturerData) last.manufacturerData = adv.manufacturerData;
+        this._lastAdvertisement.set(devId, last);
+    }
 
-        const bthomeRaw = findBTHomeData(serviceData);
-        this.log.debug(`${devId}: findBTHomeData result: ${bthomeRaw ? bthomeRaw.length + ' bytes' : 'null'} (UUIDs: ${serviceData.map(s => s.uuid).join(',')})`);
-        if (bthomeRaw) {
-            const bthomeResult = parseBTHome(bthomeRaw);
-            if (bthomeResult && bthomeResult.values.length > 0) {
-                const mac = devId;
-                this.log.debug(`${mac}: BTHome v${bthomeResult.version} – ${bthomeResult.values.length} value(s)`);
-                await this.deviceMgr.ensureBTHomeObjects(mac, bthomeResult.values);
+    /**
+     * Find the adopted device a beacon with an unknown address belongs to,
+     * by its identity (iBeacon UUID/major/minor, Eddystone UID). Frames without
+     * identity (Eddystone TLM/URL) are matched by the address the identity was
+     * last seen with.
+     * @param {string} devId – address of the advertisement (MAC with dashes)
+     * @param {{serviceData?: Array<{uuid: string, data: Buffer}>|null, manufacturerData?: Buffer|null}} adv
+     * @returns {string|null} device ID of the adopted beacon
+     */
+    _beaconOwner(devId, adv) {
+        const identity = beaconIdentity(adv);
+        const owner = identity ? this._beaconOwners.get(identity) : null;
+        if (owner) {
+            if (this._beaconAddresses.get(devId)?.owner !== owner) {
+                this.log.debug(`${owner}: beacon ${identity} now advertising as ${devId}`);
+            }
+            this._beaconAddresses.set(devId, { owner, lastSeen: Date.now() });
+            return owner;
+        }
+        const known = identity ? null : this._beaconAddresses.get(devId);
+        if (!known) return null;
+        known.lastSeen = Date.now();
+        return known.owner;
+    }
+
+    /**
+     * Write one decoder result: decryption status, replay protection,
+     * packet-id deduplication, then the measurements.
+     * @param {string} devId
+     * @param {object} decoder – registered decoder
+     * @param {{encrypted: boolean, error: string|null, counter: number|null, packetId: number|null,
+     *          battery: number|null, values: Array}} result
+     * @param {string} source
+     */
+    async _applyDecoderResult(devId, decoder, result, source) {
+        const key = `${devId}.${decoder.channel}`;
+
+        if (result.encrypted) {
+            await this.deviceMgr.setDecryptionState(devId, decoder.channel, result.error, decoder.format);
+            if (result.error) return;
+
+            // Replay protection: the counter must never decrease. An equal
+            // counter is the same frame seen again – handled by the packet id
+            // where the frame has one, dropped here otherwise.
+            // A device that reset its counter (battery swap, re-flash) sends
+            // lower counters that go up again; after a few different, strictly
+            // increasing ones the new counter is accepted. Repeats of a lower
+            // counter never count, so a replayed old frame can't reset it.
+            const last = this._decoderCounters.get(key);
+            if (result.counter !== null && last) {
+                if (result.counter === last.counter && result.packetId === null) {
+                    this.log.silly(`${devId}: duplicate ${decoder.name} frame ${result.counter} from ${source}`);
+                    return;
+                }
+                if (result.counter < last.counter) {
+                    if (last.candidate === null || result.counter < last.candidate) {
+                        last.lower = 1;
+                    } else if (result.counter > last.candidate) {
+                        last.lower++;
+                    }
+                    last.candidate = result.counter;
+                    if (last.lower < COUNTER_RESET_FRAMES) {
+                        this.log.debug(`${devId}: ${decoder.name} counter ${result.counter} < ${last.counter} – dropping replayed packet`);
+                        return;
+                    }
+                    this.log.info(`${devId}: ${decoder.name} counter went back from ${last.counter} to ${result.counter} – assuming a device reset`);
+                }
+            }
+            if (result.counter !== null) this._decoderCounters.set(key, { counter: result.counter, candidate: null, lower: 0 });
+        }
+
+        if (result.packetId !== null && !this._packetTracker.check(key, result.packetId, source)) {
+            this.log.silly(`${devId}: duplicate ${decoder.name} packet ${result.packetId} from ${source}`);
+            return;
+        }
+
+        if (result.values.length > 0) {
+            this.log.debug(`${devId}: ${decoder.name}${result.encrypted ? ' (encrypted)' : ''} – ${result.values.length} value(s) from ${source}`);
+            await this.deviceMgr.ensureSensorObjects(devId, decoder.channel, result.values, decoder.channelName);
+        }
+        if (result.controls.length > 0) {
+            await this.deviceMgr.ensureControlObjects(devId, decoder.channel, result.controls);
+        }
+        if (result.battery !== null) {
+            await this.setStateChangedAsync(`${devId}.info.battery`, { val: result.battery, ack: true });
+        }
+    }
+
+    /**
+     * Handle a write to a decoder control state (e.g. `switchbot.press`).
+     * Buttons are reset, other controls acknowledged with the written value.
+     * @param {string} localId
+     * @param {ioBroker.Object} obj
+     * @param {ioBroker.State} state
+     */
+    async _handleControlWrite(localId, obj, state) {
+        const devId = this._extractMacFromId(localId);
+        const channel = localId.split('.')[1];
+        const handler = this._controlHandlers[channel];
+        if (!devId || !handler) {
+            this.log.warn(`${localId}: no handler for control ${obj.native.control}`);
+            return;
+        }
+
+        const isButton = obj.common.type === 'boolean';
+        if (isButton && !state.val) return;
+
+        this.log.info(`${devId}: ${channel} ${obj.native.control}${isButton ? '' : ` ${state.val}`}`);
+        try {
+            await handler(devId, obj.native.control, state.val);
+            await this.setStateAsync(localId, isButton ? false : state.val, true);
+        } catch (e) {
+            this.log.warn(`${devId}: ${channel} ${obj.native.control} failed: ${e.message}`);
+            if (isButton) await this.setStateAsync(localId, false, true);
+        }
+    }
+
+    /**
+     * Send a SwitchBot command (Bot press/on/off, Curtain open/close/stop/position).
+     * @param {string} devId
+     * @param {string} command
+     * @param {*} value
+     */
+    async _sendSwitchBotCommand(devId, command, value) {
+        const frame = buildSwitchBotCommand(command, value);
+        if (!frame) throw new Error(`invalid command ${command} (${value})`);
+        await this._writeOnDemand(devId, SWITCHBOT_COMMAND_UUID, frame);
+    }
+
+    /**
+     * Write a characteristic, connecting first if the device is not connected
+     * and disconnecting again afterwards (battery devices that only connect
+     * for commands).
+     * @param {string} devId
+     * @param {string} charUuid – full 128-bit characteristic UUID (lower case)
+     * @param {Buffer} value
+     */
+    async _writeOnDemand(devId, charUuid, value) {
+        const mac = devId.replace(/-/g, ':');
+        const devicePath = this.bluez.macToDevicePath(mac);
+        const device = this.bluez.getDevice(mac);
+        const wasConnected = !!(device && device.connected);
+
+        if (!wasConnected) await this.connections.connect(mac, CONNECT_PRIORITY.USER);
+        try {
+            const services = await this.bluez.discoverServices(devicePath);
+            const ch = services
+                .flatMap(svc => svc.characteristics)
+                .find(c => c.uuid.toLowerCase() === charUuid);
+            if (!ch) throw new Error(`characteristic ${charUuid} not found`);
+
+            await this.deviceMgr.gatt.writeCharacteristic(ch.path, value, { type: 'request' });
+            this.log.debug(`${devId}: wrote ${value.toString('hex')} to ${charUuid}`);
+        } finally {
+            if (!wasConnected) {
+                this._plannedDisconnects.set(devId, Date.now());
+                try {
+                    await this.connections.disconnect(mac);
+                } catch (e) {
+                    // Don't hide the write error
+                    this._plannedDisconnects.delete(devId);
+                    this.log.warn(`${devId}: disconnect after on-demand write failed: ${e.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Write changed packet counters (received / duplicate / lost).
+     * Runs periodically so duplicates don't cause a state write each.
+     */
+    async _flushPacketStats() {
+        if (this._stopping) return;
+
+        for (const key of this._packetTracker.takeDirty()) {
+            const stats = this._packetTracker.getStats(key);
+            if (!stats) continue;
+            const [devId, channel] = key.split('.');
+            try {
+                await this.deviceMgr.updatePacketStats(devId, channel, stats);
+            } catch (e) {
+                this.log.debug(`${devId}: packet stats update failed: ${e.message}`);
             }
         }
     }
@@ -918,16 +1334,23 @@ class BluetoothAdapter extends utils.Adapter {
     //  Connect / Reconnect
     // ─────────────────────────────────────────────────────────────────
 
-    async _connectAndDiscover(mac) {
+    /**
+     * Connect through the connection slots and build the GATT tree.
+     *
+     * @param {string} mac
+     * @param {number} [priority] – CONNECT_PRIORITY, reconnect by default
+     */
+    async _connectAndDiscover(mac, priority = CONNECT_PRIORITY.RECONNECT) {
         const devId = mac.replace(/:/g, '-').toUpperCase();
         const devicePath = this.bluez.macToDevicePath(mac);
 
-        // Already connected?
+        // Already connected or waiting for a slot?
         const device = this.bluez.getDevice(mac);
         if (device && device.connected) return;
+        if (this.connections.isPending(mac)) return;
 
         try {
-            await this.bluez.connect(devicePath);
+            await this.connections.connect(mac, priority);
             await this.setStateAsync(`${devId}.info.connected`, true, true);
 
             // Reset reconnect state on success
@@ -1239,12 +1662,11 @@ class BluetoothAdapter extends utils.Adapter {
                     return;
                 }
                 this.log.debug(`HFP reconnecting ${mac} (attempt ${rs.attempt})…`);
-                const devicePath = this.bluez.macToDevicePath(mac);
                 // Full disconnect+reconnect cycle to trigger the phone's
                 // profile auto-connect (ConnectProfile alone fails on Android)
-                try { await this.bluez.disconnect(devicePath); } catch (_) { /* may already be disconnected */ }
+                try { await this.connections.disconnect(mac); } catch (_) { /* may already be disconnected */ }
                 await new Promise(r => setTimeout(r, 1000));
-                await this.bluez.connect(devicePath);
+                await this.connections.connect(mac, CONNECT_PRIORITY.RECONNECT);
                 // BlueZ + phone should re-establish all profiles including HFP
                 this._reconnect.delete(key);
             } catch (e) {
@@ -1446,6 +1868,7 @@ class BluetoothAdapter extends utils.Adapter {
             this._discovery.set(peripheral.address.toUpperCase(), {
                 mac: peripheral.address.toUpperCase(),
                 name: peripheral.name || '',
+                label: continuityLabel(peripheral.manufacturerData),
                 rssi: peripheral.rssi ?? null,
                 type: 'ble',
                 paired: false,
@@ -1455,8 +1878,16 @@ class BluetoothAdapter extends utils.Adapter {
                 source: peripheral.source,
             });
 
-            // Only process adopted devices
-            if (!this._isAdopted(devId)) return;
+            // Only process adopted devices (or known beacons with a new address)
+            if (!this._isAdopted(devId)) {
+                this._rememberAdvertisement(devId, peripheral);
+                const owner = this._beaconOwner(devId, peripheral);
+                if (owner) {
+                    this._processSensorData(owner, peripheral, peripheral.source)
+                        .catch(e => this.log.warn(`${owner}: sensor data processing failed: ${e.message}`));
+                }
+                return;
+            }
 
             // Build props compatible with deviceManager
             const deviceProps = {
@@ -1472,7 +1903,8 @@ class BluetoothAdapter extends utils.Adapter {
 
             await this.deviceMgr.ensureDeviceObjects(devId, deviceProps);
             this._processAdvertisementData(devId, deviceProps);
-            this._processBTHome(devId, peripheral.serviceData);
+            this._processSensorData(devId, deviceProps, peripheral.source)
+                .catch(e => this.log.warn(`${devId}: sensor data processing failed: ${e.message}`));
         } catch (e) {
             this.log.warn(`Error processing satellite device ${peripheral.address}: ${e.message}`);
         }
@@ -1558,10 +1990,28 @@ class BluetoothAdapter extends utils.Adapter {
 
         this.log.info(`Adopted devices: ${this._adopted.size} (allowlist: ${this._cfg.allowlist.length})`);
 
+        // ── Beacon identities of adopted devices ─────────────────────
+        try {
+            const ids = await this.getStatesAsync('*.beacon.id');
+            for (const [id, state] of Object.entries(ids || {})) {
+                const devId = this._extractMacFromId(this.removeNamespace(id));
+                if (devId && state && state.val && this._isAdopted(devId)) {
+                    this._beaconOwners.set(String(state.val), devId);
+                }
+            }
+        } catch (e) {
+            this.log.debug(`Could not load beacon identities: ${e.message}`);
+        }
+
         // ── Periodic discovery flush (every 10s) ─────────────────────
         this._discoveryFlushTimer = setInterval(() => {
             this._flushDiscoveryList();
         }, 10000);
+
+        // ── Periodic packet counter flush (every 30s) ────────────────
+        this._packetStatsTimer = setInterval(() => {
+            this._flushPacketStats();
+        }, 30000);
     }
 
     /**
@@ -1601,7 +2051,8 @@ class BluetoothAdapter extends utils.Adapter {
         if (device) {
             await this.deviceMgr.ensureDeviceObjects(norm, device);
             this._processAdvertisementData(norm, device);
-            this._processBTHome(norm, device.serviceData);
+            this._processSensorData(norm, device)
+                .catch(e => this.log.warn(`${norm}: sensor data processing failed: ${e.message}`));
         }
     }
 
@@ -1613,6 +2064,14 @@ class BluetoothAdapter extends utils.Adapter {
     async _removeAdoptedDevice(devId) {
         const norm = devId.toUpperCase();
         this._adopted.delete(norm);
+        if (this.sessions) this.sessions.stop(norm);
+        this._lastAdvertisement.delete(norm);
+        for (const [identity, owner] of this._beaconOwners) {
+            if (owner === norm) this._beaconOwners.delete(identity);
+        }
+        for (const [address, entry] of this._beaconAddresses) {
+            if (entry.owner === norm) this._beaconAddresses.delete(address);
+        }
         await this._persistAdopted();
 
         const mac = norm.replace(/-/g, ':');
@@ -1632,7 +2091,8 @@ class BluetoothAdapter extends utils.Adapter {
 
     /**
      * Flush the discovery list to the ioBroker state.
-     * Removes stale transient entries (not seen for 5 minutes).
+     * Removes stale transient entries (not seen for 5 minutes) and expired
+     * beacon addresses.
      */
     _flushDiscoveryList() {
         if (this._stopping) return;
@@ -1644,9 +2104,15 @@ class BluetoothAdapter extends utils.Adapter {
         for (const [mac, entry] of this._discovery) {
             if (entry.transient && !entry.adopted && (now - entry.lastSeen) > STALE_MS) {
                 this._discovery.delete(mac);
+                this._lastAdvertisement.delete(mac.replace(/:/g, '-'));
             }
         }
 
+        // Forget rotating beacon addresses that are no longer used
+        for (const [address, entry] of this._beaconAddresses) {
+            if (now - entry.lastSeen > BEACON_ADDRESS_TTL) this._beaconAddresses.delete(address);
+        }
+
         // Build sorted array (adopted first, then by RSSI)
         const list = [...this._discovery.values()].sort((a, b) => {
             if (a.adopted !== b.adopted) return a.adopted ? -1 : 1;